@@ -7,7 +7,8 @@
 *  Most grids repeat their numbering every 100km.
 *  Grid lines will tend to straight as a Web Mercator map is zoomed in.
 *  At low zooms, the minimum number of straight line segments are used to
-*  draw grid lines that project as curves on Web Mercator.
+*  draw grid lines that project as curves on Web Mercator, or any other map CRS e.g. from Proj4Leaflet.
+*  On a map in the grid's own projection, grid lines are straight and drawn directly.
 *  Depends on proj4.js 2.5.0 or later
 *  Author: bill.chadwick2@gmail.com
 *  Inspired by lanwei@cloudybay.com.tw and Open Layers 3
@@ -19,13 +20,37 @@ L.MetricGrid = L.Layer.extend({
 
         proj4ProjDef: "must be provided",                    // must be provided
         bounds: [[0, 0] , [0, 0]],                           // must be provided. First coord is bottom left, second is top right in [x,y] format
-        clip: null,                                          // optional, clip polygon in grid coordinates
+        clip: null,                                          // optional, clip polygon in grid coordinates, a ring of [x, y] points
+                                                             // or GeoJSON Polygon or MultiPolygon, with any holes. Filled even-odd
+        latLonClip: null,                                    // optional, clip as for clip but in WGS84 [lon, lat], used instead of clip
         latLonClipBounds: null,                              // optional, Leaflet.LatLngBounds or equivalent array
         drawClip: false,                                     // optional, when true, the clip bounds are drawn with the same pen as the grid
         hundredKmSquareFunc: function(e, n) {return "";},    // optional, params are eastings and northings in metres
+        hundredKmSquareInverseFunc: null,                    // optional, param is a 100km square id, returns [e, n] of its bottom left corner.
+                                                             // When null, the 100km squares within bounds are searched using hundredKmSquareFunc
 
         showAxisLabels: [100, 1000, 10000],                  // show axis for listed grid spacings - omit 100000
         showAxis100km: false,
+        labelMode: "square",                                 // "square" for digits within the 100km square, "metres" or "km" for full coordinates
+        labelSeparator: "",                                  // optional, digit grouping separator for full coordinates e.g. " " or "'"
+        labelUnits: "",                                      // optional, text after full eastings and northings e.g. " m"
+        formatAxisLabel: function (value, axis, interval) {  // optional, axis label for a grid line, axis is "e" or "n".
+            return (axis === "e") ?                          // Returns a string or an array of segments, see _labelSegments
+                this._format_eastings(value, interval) : this._format_northings(value, interval);
+        },
+        formatSquareLabel: function (sq) {                   // optional, label of a grid square from sq.e, sq.n (bottom left),
+            var r = sq.square;                               // sq.interval and sq.square (100km square id).
+            var full = this.options.labelMode !== "square";  // Returns a string or an array of segments.
+            var sep = "";                                    // Full coordinates have no square id, and a space between them,
+            if (full) {                                      // or a comma and space when digits are grouped by spaces
+                r = "";
+                sep = (this.options.labelSeparator === " ") ? ", " : " ";
+            }
+            if (full || (sq.interval < 100000)) {
+                r += this._format_eastings(sq.e, sq.interval) + sep + this._format_northings(sq.n, sq.interval);
+            }
+            return r;
+        },
         showSquareLabels: [],                                // show square labels for listed grid spacings
         opacity: 0.7,
         weight: 2,                                           // use 2 for best results, else label rub-out is less good (antialiased pixels)
@@ -33,8 +58,25 @@ L.MetricGrid = L.Layer.extend({
         font: "bold 16px Verdana",
         density: 1,
         minInterval: 100,                   // minimum grid interval in metres
+        intervals: null,                    // optional, an array of spacings in metres e.g. [100, 200, 500, 1000, 2000, 5000, 10000, 20000, 100000]
+                                            // chosen by on screen size, or an object of spacings by zoom e.g. {8: 20000, 11: 5000, 13: 1000, 15: 200}
+        intervalPixels: 60,                 // minimum on screen square size in pixels when intervals is an array
         maxInterval: 100000,                // maximum grid interval in metres, the bounds values should be multiples of this
-        minZoom: 4                          // minimum zoom at which grid is drawn
+        minZoom: 4,                         // minimum zoom at which grid is drawn
+        renderer: "canvas",                 // "canvas" or "svg", svg gives resolution independent output, see also toSVG
+        interactive: false,                 // when true, map clicks fire squareclick events for the grid square clicked
+        squarePopup: false,                 // when true (and interactive), a clicked square opens a popup with its grid reference
+        worker: false,                      // when true, grid lines and label positions are worked out in a Web Worker, see L.MetricGrid.proj4Url
+        axisLabelEdges: "SW",               // edges of the view to label, any of "N", "E", "S" and "W"
+        axisLabelPosition: "middle",        // "middle" of the grid square sides, or "crossing" at grid line crossings
+        axisLabelPlacement: "inside",       // "inside" the view at the first position clear of the edge, or "edge" where each line meets the edge
+        axisLabelOffset: 0,                 // distance in pixels of axis labels from the edge of the view
+        labelStyle: "rubout",               // "rubout" rubs out the grid line behind axis labels, "halo" outlines labels, "box" puts labels on a box
+        haloColor: "#fff",
+        haloWidth: 3,                       // width in pixels of the halo around the letters
+        boxColor: "#fff",
+        boxPadding: 2,                      // padding in pixels around labels in boxes
+        boxOpacity: 0.7
     },
 
 
@@ -42,6 +84,7 @@ L.MetricGrid = L.Layer.extend({
     initialize: function (options) {
 
         L.setOptions(this, options); // merge with default options above
+        this._onPixelRatioChange = L.bind(this._onPixelRatioChange, this);
 
         if (!this.options.fontColor) {
             this.options.fontColor = this.options.color;
@@ -59,9 +102,16 @@ L.MetricGrid = L.Layer.extend({
         }
 
         map._panes.overlayPane.appendChild(this._container);
-        map.on("viewreset", this._reset, this);
-        map.on("move", this._reset, this);
-        map.on("moveend", this._reset, this);
+        map.on("viewreset", this._scheduleReset, this);
+        map.on("move", this._scheduleReset, this);
+        map.on("moveend", this._scheduleReset, this);
+        if (this.options.interactive) {
+            map.on("click", this._onMapClick, this);
+        }
+        if (this._zoomAnimated) {
+            map.on("zoomanim", this._animateZoom, this);
+        }
+        this._watchPixelRatio();
 
         this._reset();
     },
@@ -71,9 +121,20 @@ L.MetricGrid = L.Layer.extend({
     onRemove: function (map) {
 
         map.getPanes().overlayPane.removeChild(this._container);
-        map.off("viewreset", this._reset, this);
-        map.off("move", this._reset, this);
-        map.off("moveend", this._reset, this);
+        map.off("viewreset", this._scheduleReset, this);
+        map.off("move", this._scheduleReset, this);
+        map.off("moveend", this._scheduleReset, this);
+        if (this._resetFrame) {
+            L.Util.cancelAnimFrame(this._resetFrame);
+            this._resetFrame = null;
+        }
+        map.off("click", this._onMapClick, this);
+        map.off("zoomanim", this._animateZoom, this);
+        this._unwatchPixelRatio();
+        delete L.MetricGrid._workerGrids[L.stamp(this)];
+        this._dropWorkerJobs();
+        this._drawnVisible = false;
+        this._outOfBounds = false;
     },
 
 
@@ -117,790 +178,4426 @@ L.MetricGrid = L.Layer.extend({
     },
 
 
-    // Private method to initialize a drawing canvas for the grid.
-    // No animation support (yet).
-    _initCanvas: function () {
+    // MetricGrid method
+    // Returns the grid interval in metres (degrees for L.Graticule) shown on the map, or null if the grid is not shown
+    getInterval: function () {
+        return this.isVisible() ? this._drawnInterval : null;
+    },
 
-        this._container = L.DomUtil.create("div", "leaflet-image-layer");
-        this._canvas = L.DomUtil.create("canvas", "");
-        this._updateOpacity();
-        this._container.appendChild(this._canvas);
 
-        // No canvas interactions, but bind canvas onload to our _onCanvasLoad
-        L.extend(this._canvas, {
-            onselectstart: L.Util.falseFn,
-            onmousemove: L.Util.falseFn,
-            onload: L.bind(this._onCanvasLoad, this)
-        });
+    // MetricGrid method
+    // Returns the grid extent drawn for the map view, rounded out to the interval and limited to the grid bounds,
+    // as an L.Bounds in grid coordinates, or null if the grid is not shown
+    getGridBounds: function () {
+        return this.isVisible() ? this._drawnBounds : null;
     },
 
 
-    // Sets the clip region for a grid.
-    // Useful at low zooms to prevent multiple grids drawing on top of each other.
-    // See the demo for clipping of the British and Irish grids.
-    // The clip path is specified in the options as an array of grid coordinates.
-    // These should represent a simple closed polygon and start and end with the same point.
-    // Individual points are an array of two coordinates - east/x then north/y.
-    // The clip outline is drawn using the same pen (color and width) as the grid lines
-    // Clipping is only used if one or more of the corners of the grid covering the visible map
-    // lie outside of the clipping path.
-    _setClip: function (ctx) {
+    // MetricGrid method
+    // True if the grid is drawn on the map, false if it is not on a map or minZoom, maxZoom, skipZoom
+    // or the grid bounds stop it drawing at the map view
+    isVisible: function () {
+        return !!(this._map && this._drawnVisible);
+    },
 
-        var map = this._map;
-        var proj = this.options.proj4ProjDef;
-        var i;
 
-        if (this.options.clip) {
+    // MetricGrid method
+    // Returns the grid as currently drawn on the map as a standalone SVG document string,
+    // for print or post processing. Works with either renderer.
+    toSVG: function () {
 
-            // iterate the segments of the clip path
-            var x2;
-            var y2;
-            var x1;
-            var y1;
-            var dX;
-            var dY;
-            var pts;
-            var j;
+        var size = this._map.getSize();
+        var svg = document.createElementNS(L.MetricGrid.SvgContext.NS, "svg");
+        var ctx = new L.MetricGrid.SvgContext(svg);
 
-            for(i=0; i < (this.options.clip.length-1); i+=1) {
+        svg.setAttribute("viewBox", "0 0 " + size.x + " " + size.y);
+        svg.setAttribute("opacity", this.options.opacity);
+        ctx.setSize(size.x, size.y);
+        this._draw(ctx);
 
-                x2 = this.options.clip[i+1][0];
-                x1 = this.options.clip[i][0];
-                y2 = this.options.clip[i+1][1];
-                y1 = this.options.clip[i][1];
-                dX = x2-x1;
-                dY = y2-y1;
+        return new XMLSerializer().serializeToString(svg);
+    },
 
-                // interpolate a point along the line segment
-                function _interpolate (frac) {
-                    return proj4(proj).inverse([x1 + (frac * dX), y1 + (frac * dY)]);
-                }
 
-                // get set of Web Mercator line segments fitted to this segment with a maximum error of 1 pixel
-                pts = this._getPoints(_interpolate, 1.0, map);
+    // MetricGrid method
+    // Returns the grid lines within a Lat/Lon bounds as a GeoJSON FeatureCollection of LineStrings,
+    // one per piece of grid line, with properties axis ("easting" or "northing"), easting or northing and interval.
+    // Lines are densified to within options.tolerance metres (default 1) of the true grid line,
+    // and are clipped to the grid bounds and clip or latLonClipBounds, as drawn.
+    // With options.squares, the grid squares are added as Polygons, or MultiPolygons where the clip splits them,
+    // with properties easting and northing of the bottom left corner, interval, square (100km square id) and ref (grid reference).
+    // latLngBounds defaults to the map view and interval to the interval being drawn.
+    toGeoJSON: function (latLngBounds, interval, options) {
+
+        options = L.extend({lines: true, squares: false, tolerance: 1}, options);
+        latLngBounds = latLngBounds ? L.latLngBounds(latLngBounds) : this._map.getBounds();
+
+        var d = interval || this._calcInterval();
+        var b = this.options.bounds;
+        var features = [];
+        var ext = this._limitExtent(this._gridExtent(latLngBounds, d), d);
+
+        if (!ext) {
+            return {type: "FeatureCollection", features: features};
+        }
+
+        // the grid area to export, within the grid bounds
+        var w = Math.max(ext[0], b[0][0]);
+        var s = Math.max(ext[1], b[0][1]);
+        var e = Math.min(ext[2], b[1][0]);
+        var n = Math.min(ext[3], b[1][1]);
+        var x;
+        var y;
+        var i;
+        var lines;
+        var props;
+
+        if (options.lines) {
 
-                // draw the clip path segment
-                j = 0;
-                if (i == 0) {
-                    ctx.beginPath();
-                    ctx.moveTo(pts[0].x, pts[0].y);
-                    j = 1;
-                }
-                for (j=j; j < pts.length; j+=1) {
-                    ctx.lineTo(pts[j].x, pts[j].y);
+            // Verticals of constant Eastings
+            for (x = ext[0]; x <= ext[2]; x += d) {
+                if ((x >= w) && (x <= e)) {
+                    lines = this._geoJSONLines([x, s], [x, n], options.tolerance);
+                    for (i = 0; i < lines.length; i++) {
+                        features.push(this._geoJSONFeature("LineString", lines[i], {axis: "easting", easting: x, interval: d}));
+                    }
                 }
             }
 
-            // finish the path and set the clip region
-            if (this.options.drawClip) {
-                ctx.stroke();                
+            // Horizontals of constant Northings
+            for (y = ext[1]; y <= ext[3]; y += d) {
+                if ((y >= s) && (y <= n)) {
+                    lines = this._geoJSONLines([w, y], [e, y], options.tolerance);
+                    for (i = 0; i < lines.length; i++) {
+                        features.push(this._geoJSONFeature("LineString", lines[i], {axis: "northing", northing: y, interval: d}));
+                    }
+                }
             }
-            ctx.clip();   
-
+        }
 
-            
+        if (options.squares) {
+            var precision = this._intervalPrecision(d);
+            var polys;
+
+            for (y = ext[1]; y < ext[3]; y += d) {
+                for (x = ext[0]; x < ext[2]; x += d) {
+                    polys = this._geoJSONSquare([Math.max(x, w), Math.max(y, s), Math.min(x + d, e), Math.min(y + d, n)], options.tolerance);
+                    if (polys) {
+                        props = {easting: x, northing: y, interval: d, square: this._squareLabelId(x, y, d), ref: this._formatGridRef(x, y, precision)};
+                        features.push((polys.length == 1) ?
+                            this._geoJSONFeature("Polygon", polys[0], props) : this._geoJSONFeature("MultiPolygon", polys, props));
+                    }
+                }
+            }
         }
+
+        return {type: "FeatureCollection", features: features};
     },
-    
-    // sets a rectangular lat/lon clip
-    // the latLonClipBounds should be [[bottom lat, left lon],[top lat, right lon]]
-    // return is clip bounds in canvas coords
-    _setLLClipBounds: function (ctx, map) {
-      
-        var b = L.latLngBounds(this.options.latLonClipBounds);
-        var bl = map.latLngToContainerPoint(b.getSouthWest());
-        var tr = map.latLngToContainerPoint(b.getNorthEast());
-        
-        ctx.beginPath();
-        ctx.moveTo(bl.x, bl.y);
-        ctx.lineTo(tr.x, bl.y);
-        ctx.lineTo(tr.x, tr.y);
-        ctx.lineTo(bl.x, tr.y);
-        ctx.lineTo(bl.x, bl.y);
-        
-        // finish the path and set the clip region
-        if (this.options.drawClip) {
-            ctx.stroke();                
-        }
-        ctx.clip();        
-        
-        // LL bounds in canvas coords, for use when labelling
-        return L.bounds(bl, tr); 
+
+
+    _geoJSONFeature: function (type, coordinates, properties) {
+        return {type: "Feature", geometry: {type: type, coordinates: coordinates}, properties: properties};
     },
 
 
-    // redraw the overlay after a map pan or zoom etc
-    _reset: function () {
+    // GeoJSON coordinates of the pieces of the grid line from a to b (grid coordinates) that are drawn
+    _geoJSONLines: function (a, b, tolerance) {
 
-        var container = this._container;
-        var canvas = this._canvas;
-        var size = this._map.getSize();
-        var lt = this._map.containerPointToLayerPoint([0, 0]);
+        var pieces = this._clipGridSegment(a, b);
+        var lines = [];
+        var i;
 
-        // position the canvas ontop of the map
-        L.DomUtil.setPosition(container, lt);
+        for (i = 0; i < pieces.length; i++) {
+            lines = lines.concat(this._clipLatLonLine(this._densify(pieces[i][0], pieces[i][1], tolerance)));
+        }
+        return lines;
+    },
 
-        container.style.width = size.x + "px";
-        container.style.height = size.y + "px";
 
-        canvas.width  = size.x;
-        canvas.height = size.y;
-        canvas.style.width  = size.x + "px";
-        canvas.style.height = size.y + "px";
+    // GeoJSON polygons, each an array of rings, of the part of the grid rectangle [w, s, e, n] that is drawn,
+    // or null if none is. Clip polygons are cut to the rectangle with their holes, and dropped if their holes
+    // leave nothing of them there. Where areas left to other grids overlap the rectangle, they are cut out too.
+    _geoJSONSquare: function (r, tolerance) {
 
-        this._draw();
-    },
+        if ((r[0] >= r[2]) || (r[1] >= r[3])) {
+            return null;
+        }
 
+        // areas left to grids of higher priority in a L.MetricGridGroup, that overlap the rectangle
+        var areas = this._exclusions || [];
+        var exclude = [];
+        var box;
+        var i;
+        var j;
+        for (i = 0; i < areas.length; i++) {
+            box = areas[i].box;
+            if ((box[0] < r[2]) && (box[2] > r[0]) && (box[1] < r[3]) && (box[3] > r[1])) {
+                exclude.push(areas[i].rings);
+            }
+        }
 
-    // fire a Layer loaded event
-    _onCanvasLoad: function () {
-        this.fire("load");
+        var polys = exclude.length ? this._cutRect(r, this._clipRings(), exclude) : this._clipPolygonsToRect(r);
+        var out = [];
+        var rings;
+        var ring;
+
+        for (i = 0; i < polys.length; i++) {
+            rings = [];
+            for (j = 0; j < polys[i].length; j++) {
+                ring = this._geoJSONRing(polys[i][j], tolerance);
+                if (ring) {
+                    rings.push(ring);
+                }
+                else if (j === 0) {
+                    break; // no outer ring, so nothing of this polygon
+                }
+            }
+            if (rings.length) {
+                out.push(rings);
+            }
+        }
+        return out.length ? out : null;
     },
 
 
-    // internal opacity control
-    _updateOpacity: function () {
-        L.DomUtil.setOpacity(this._canvas, this.options.opacity);
-    },
+    // Polygons, each an array of rings in grid coordinates, of the clip polygons cut to the rectangle
+    // [w, s, e, n], or the rectangle itself if there is no clip. Polygons left empty by their holes are dropped.
+    _clipPolygonsToRect: function (r) {
 
+        var polys = this._clipPolygons() || [[[[r[0], r[1]], [r[2], r[1]], [r[2], r[3]], [r[0], r[3]]]]];
+        var minArea = 1e-9 * (r[2] - r[0]) * (r[3] - r[1]);
+        var out = [];
+        var cut;
+        var area;
+        var ring;
+        var i;
+        var j;
+
+        for (i = 0; i < polys.length; i++) {
+
+            // the polygon's rings cut to the rectangle, and the area they fill even-odd
+            cut = [];
+            area = 0;
+            for (j = 0; j < polys[i].length; j++) {
+                ring = this._clipPolygonToRect(polys[i][j], r);
+                if (ring.length >= 3) {
+                    cut.push(ring);
+                    area += (j ? -1 : 1) * Math.abs(this._ringArea(ring));
+                }
+                else if (j === 0) {
+                    break; // no outer ring, so nothing of this polygon
+                }
+            }
+            if (area > minArea) {
+                out.push(cut);
+            }
+        }
+        return out;
+    },
 
-    // Formats eastings or northings within a 100km square for axis / square labelling
-    // Most grids repeat their numbering every 100km
-    // If grid spacing < 1km, uses 3 digits,
-    // else if grid spacing < 10km uses 2 digits,
-    // else one digit
-    _formatEastOrNorth(n, spacing) {
 
-        var r;
-        var h = Math.floor(n / 100000);
-        n = n % 100000; // metres within 100km square
+    // Polygons, each an array of rings in grid coordinates, of the part of the rectangle [w, s, e, n] inside
+    // the clip rings, if any, and outside the areas left to other grids, each filled even-odd.
+    // The edges of them all are split where they meet, and those with the part on one side only are joined
+    // into rings with it on their left, so outer rings run anticlockwise and holes clockwise.
+    _cutRect: function (r, rings, exclude) {
+
+        var size = Math.max(r[2] - r[0], r[3] - r[1]);
+        var eps = size * 1e-9;      // distance within which a point is on an edge
+        var snap = size * 1e-7;     // distance within which points are the same vertex
+        var off = size * 1e-6;      // distance to each side of an edge at which the part is looked for
+        var all = [].concat.apply(rings || [], exclude);
+        var edges = [[[r[0], r[1]], [r[2], r[1]]], [[r[2], r[1]], [r[2], r[3]]],
+                     [[r[2], r[3]], [r[0], r[3]]], [[r[0], r[3]], [r[0], r[1]]]];
+        var verts = [];
+        var a;
+        var b;
+        var i;
+        var j;
+        var k;
+        var m;
 
-        if (spacing < 1000) {
-            r = Math.floor(n / 100).toString();
-            r = (r.length == 1) ? "0" + r : r;
-            r = (r.length == 2) ? "0" + r : r;
-        }
-        else if (spacing < 10000) {
-            r = Math.floor(n / 1000).toString();
-            r = (r.length == 1) ? "0" + r : r;
+        // the vertex at point p, added if new
+        function _vertex (p) {
+            var v;
+            for (v = 0; v < verts.length; v++) {
+                if ((Math.abs(verts[v][0] - p[0]) <= snap) && (Math.abs(verts[v][1] - p[1]) <= snap)) {
+                    return v;
+                }
+            }
+            verts.push(p);
+            return verts.length - 1;
         }
-        else {
-            r = Math.floor(n / 10000).toString();
+
+        // edges of the rings that reach the rectangle
+        for (i = 0; i < all.length; i++) {
+            for (j = 0; j < all[i].length; j++) {
+                a = all[i][j];
+                b = all[i][(j + 1) % all[i].length];
+                if (((a[0] !== b[0]) || (a[1] !== b[1])) &&
+                    (Math.max(a[0], b[0]) >= r[0]) && (Math.min(a[0], b[0]) <= r[2]) &&
+                    (Math.max(a[1], b[1]) >= r[1]) && (Math.min(a[1], b[1]) <= r[3])) {
+                    edges.push([a, b]);
+                }
+            }
         }
-        
-        // prepend hundreds of km in subscript
-        if (this.options.showAxis100km) {
-            var hs = h.toString();
-            var i;
-            for(i = (hs.length-1); i >= 0; i--) {
-                r = String.fromCharCode(hs.charCodeAt(i) + 8272) + r; 
+
+        // split each edge where others cross or touch it, keeping the pieces with the part on one side only,
+        // directed with it on their left
+        var directed = [];
+        var seen = {};
+        for (i = 0; i < edges.length; i++) {
+            a = edges[i][0];
+            b = edges[i][1];
+            var dx = b[0] - a[0];
+            var dy = b[1] - a[1];
+            var len = Math.sqrt((dx * dx) + (dy * dy));
+            var fracs = [0, 1];
+            var t;
+
+            for (k = 0; k < edges.length; k++) {
+                var c = edges[k][0];
+                var ex = edges[k][1][0] - c[0];
+                var ey = edges[k][1][1] - c[1];
+                var den = (dx * ey) - (dy * ex);
+                if ((k !== i) && (den !== 0)) {
+                    t = (((c[0] - a[0]) * ey) - ((c[1] - a[1]) * ex)) / den;
+                    var u = (((c[0] - a[0]) * dy) - ((c[1] - a[1]) * dx)) / den;
+                    if ((t > 0) && (t < 1) && (u >= 0) && (u <= 1)) {
+                        fracs.push(t);
+                    }
+                }
+                // ends of edges along this one, where edges overlap
+                for (m = 0; (k !== i) && (m < 2); m++) {
+                    var q = edges[k][m];
+                    t = (((q[0] - a[0]) * dx) + ((q[1] - a[1]) * dy)) / (len * len);
+                    if ((t > 0) && (t < 1) && (Math.abs(((q[0] - a[0]) * dy) - ((q[1] - a[1]) * dx)) <= eps * len)) {
+                        fracs.push(t);
+                    }
+                }
+            }
+            fracs.sort(function (p, q) {
+                return p - q;
+            });
+
+            for (j = 0; j < fracs.length - 1; j++) {
+                var v0 = _vertex([a[0] + (fracs[j] * dx), a[1] + (fracs[j] * dy)]);
+                var v1 = _vertex([a[0] + (fracs[j + 1] * dx), a[1] + (fracs[j + 1] * dy)]);
+                var key = Math.min(v0, v1) + ":" + Math.max(v0, v1);
+                if ((v0 === v1) || seen[key]) {
+                    continue;
+                }
+                seen[key] = true;
+
+                var mid = [(verts[v0][0] + verts[v1][0]) / 2, (verts[v0][1] + verts[v1][1]) / 2];
+                var left = this._inCut([mid[0] - (off * dy / len), mid[1] + (off * dx / len)], r, rings, exclude);
+                var right = this._inCut([mid[0] + (off * dy / len), mid[1] - (off * dx / len)], r, rings, exclude);
+                if (left !== right) {
+                    directed.push(left ? [v0, v1] : [v1, v0]);
+                }
             }
         }
 
-        return r;
-    },
+        // the edges from each vertex
+        var from = {};
+        for (i = 0; i < directed.length; i++) {
+            (from[directed[i][0]] = from[directed[i][0]] || []).push(i);
+        }
 
+        // join the edges into rings, turning furthest left where several leave a vertex
+        var used = [];
+        var outers = [];
+        var holes = [];
+        for (i = 0; i < directed.length; i++) {
+            if (used[i]) {
+                continue;
+            }
+            var ring = [];
+            var e = i;
+            while (e >= 0) {
+                used[e] = true;
+                ring.push(verts[directed[e][0]]);
+                if (directed[e][1] === directed[i][0]) {
+                    break;
+                }
 
-    // Formats eastings value for grid line labels
-    // This shows distance within each 100 km grid square - most grid stytems work like this
-    _format_eastings: function(eastings, spacing) {
-        return this._formatEastOrNorth(eastings, spacing);
-    },
+                var p0 = verts[directed[e][0]];
+                var p1 = verts[directed[e][1]];
+                var next = from[directed[e][1]] || [];
+                var best = -1;
+                var bestTurn = -Infinity;
+                for (k = 0; k < next.length; k++) {
+                    if (!used[next[k]]) {
+                        var p2 = verts[directed[next[k]][1]];
+                        var ax = p1[0] - p0[0];
+                        var ay = p1[1] - p0[1];
+                        var bx = p2[0] - p1[0];
+                        var by = p2[1] - p1[1];
+                        var turn = Math.atan2((ax * by) - (ay * bx), (ax * bx) + (ay * by));
+                        if (turn > bestTurn) {
+                            bestTurn = turn;
+                            best = next[k];
+                        }
+                    }
+                }
+                e = best;
+            }
+            if (ring.length >= 3) {
+                ((this._ringArea(ring) > 0) ? outers : holes).push(ring);
+            }
+        }
 
+        // each hole goes in the smallest outer ring around it, tested just inside the hole on the right of its first edge
+        var polys = outers.map(function (outer) {
+            return [outer];
+        });
+        for (i = 0; i < holes.length; i++) {
+            a = holes[i][0];
+            b = holes[i][1];
+            len = Math.sqrt(((b[0] - a[0]) * (b[0] - a[0])) + ((b[1] - a[1]) * (b[1] - a[1])));
+            var inHole = [((a[0] + b[0]) / 2) + (off * (b[1] - a[1]) / len), ((a[1] + b[1]) / 2) - (off * (b[0] - a[0]) / len)];
+            var smallest = -1;
+            for (j = 0; j < outers.length; j++) {
+                if (this._inside(inHole, outers[j]) &&
+                    ((smallest < 0) || (this._ringArea(outers[j]) < this._ringArea(outers[smallest])))) {
+                    smallest = j;
+                }
+            }
+            if (smallest >= 0) {
+                polys[smallest].push(holes[i]);
+            }
+        }
 
-    // Formats northings value for grid line labels
-    // This shows distance within each 100 km grid square - most grid stytems work like this
-    _format_northings: function(northings, spacing) {
-           return this._formatEastOrNorth(northings, spacing);
+        // dropping any left empty by their holes
+        var minArea = 1e-9 * (r[2] - r[0]) * (r[3] - r[1]);
+        var out = [];
+        for (i = 0; i < polys.length; i++) {
+            var area = 0;
+            for (j = 0; j < polys[i].length; j++) {
+                area += this._ringArea(polys[i][j]);
+            }
+            if (area > minArea) {
+                out.push(polys[i]);
+            }
+        }
+        return out;
     },
 
 
-    // Calculates map scale at the center of map in metres per pixel
-    // On a Web Mercator map, scale changes with latitude (y axis)
-    _mPerPx: function()
-    {
-        // get map resolution by moving 1 pixel at the center
-        var ll1 = this._map.getCenter();
-        var p1 = this._map.project(ll1);
-        var p2 = p1.add(new L.Point(1,0));
-        var ll2 = this._map.unproject(p2);
-        return ll1.distanceTo(ll2);
+    // True if point p is in the rectangle [w, s, e, n], inside the clip rings if any,
+    // and outside the areas left to other grids, see _cutRect
+    _inCut: function (p, r, rings, exclude) {
+        return (p[0] >= r[0]) && (p[0] <= r[2]) && (p[1] >= r[1]) && (p[1] <= r[3]) &&
+            (!rings || this._inside(p, rings)) && !this._excluded(p, exclude);
     },
 
 
-    // Determines graticule interval according to map scale
-    // Because the grid can only be a power of 10 and map zooms are powers of two
-    // some zooms will have small grid squares and some large.
-    // The only way around this would be to introduce grids at decimal multiples of say 2 and 5 meters.
-    // We don't do that as such a grid square can not be properly labeled.
-    _calcInterval: function() {
-
-        var mPerPx = this._mPerPx();
+    // GeoJSON ring of a ring in grid coordinates, densified and cut to any latLonClipBounds, or null if too small
+    _geoJSONRing: function (ring, tolerance) {
 
-        // select the grid interval according to the map resolution
-        // TODO make these limits into an option perhaps setting spacing by zoom
-        var spacing;
-        if (mPerPx <= 1) {
-            spacing = 100;
-        } else if (mPerPx <= 20) {
-            spacing = 1000;
-        } else if (mPerPx <= 175) {
-            spacing = 10000;
-        } else {
-            spacing = 100000;
+        if (ring.length < 3) {
+            return null;
         }
 
-        if (this.options.density)
-            spacing = spacing / this.options.density;
-         
-        //limit to min/max interval
-        if (spacing < this.options.minInterval) {
-            spacing = this.options.minInterval;
+        // densify each edge
+        var coords = [];
+        var i;
+        for (i = 0; i < ring.length; i++) {
+            coords = coords.concat(this._densify(ring[i], ring[(i + 1) % ring.length], tolerance).slice(1));
         }
-        if (spacing > this.options.maxInterval) {
-            spacing = this.options.maxInterval;
+
+        if (!this._clipPolygons() && this.options.latLonClipBounds) {
+            var llb = L.latLngBounds(this.options.latLonClipBounds);
+            coords = this._clipPolygonToRect(coords, [llb.getWest(), llb.getSouth(), llb.getEast(), llb.getNorth()]);
+            if (coords.length < 3) {
+                return null;
+            }
         }
 
-        return spacing;
+        coords.push(coords[0]);
+        return coords;
     },
 
-    // Finds the set of screen points corresponding to a grid line.
-    // Most metric grid lines are nearly straight on a Web Mercator map, especially when zoomed in.
-    // We use the minimum number of line segments that represent the actual grid line,
-    // by chopping the grid line into a set of straight line segments that fit the grid line curve with less
-    // than 1 screen pixel of error.
-    // This approach can be used to draw e.g. a great circle on a Web Mercator map.
-    // However if the WM curve of your line has a point of inflexion then you will need to
-    // proceed in two parts about the inflexion.
-    // There is an inflexion when a Great Circle crosses the equator on a WM map.
-    //
-    // The interpolate function should return the Lat/Lon of point a for a fraction of 0.0
-    // and the Lat/Lon of point b for a fraction of 1.0.
-    //
-    // This code is adapted from OpenLayers 3
-    //
-    _getPoints: function (interpolate, tolerance, map) {
 
-        var geoA = interpolate(0);
-        var geoB = interpolate(1);
+    // [lon, lat] points along the grid line from a to b (grid coordinates),
+    // within tolerance metres of the true line on the ground
+    _densify: function (a, b, tolerance) {
+
+        var proj = this._proj();
+        var crs = L.CRS.EPSG3857;
+
+        function _interpolate (frac) {
+            return proj.inverse([a[0] + (frac * (b[0] - a[0])), a[1] + (frac * (b[1] - a[1]))]);
+        }
 
-        var a = map.latLngToContainerPoint(L.latLng(geoA[1], geoA[0]));
-        var b = map.latLngToContainerPoint(L.latLng(geoB[1], geoB[0]));
+        // Web Mercator is scaled by 1/cos(lat) relative to the ground
+        var mid = _interpolate(0.5);
+        var pts = this._getPoints(_interpolate, tolerance / Math.cos(mid[1] * Math.PI / 180), function (ll) {
+            return crs.project(ll);
+        });
 
         var coords = [];
-        var geoStack = [geoB, geoA];
-        var stack = [b, a];
-        var fractionStack = [1, 0];
-        var fractions = {};
-        var maxIterations = 1000;
-        var geoM;
-        var m;
-        var fracA;
-        var fracB;
-        var fracM;
-        var key;
+        var i;
+        var ll;
+        for (i = 0; i < pts.length; i++) {
+            ll = crs.unproject(pts[i]);
+            coords.push([ll.lng, ll.lat]);
+        }
+        return coords;
+    },
 
-        while (--maxIterations > 0 && fractionStack.length > 0) {
-            // Pop the a coordinate off the stack
-            fracA = fractionStack.pop();
-            geoA = geoStack.pop();
-            a = stack.pop();
 
-            // Add the a coordinate if it has not been added yet
-            key = fracA.toString();
-            if (!fractions[key]) {
-              coords.push(a);
-              fractions[key] = true;
-            }
+    // Pieces [[a, b], ...] of the segment a to b (grid coordinates) inside the clip polygons
+    // and outside the areas left to other grids, as drawn
+    _clipGridSegment: function (a, b) {
 
-            // Pop the b coordinate off the stack
-            fracB = fractionStack.pop();
-            geoB = geoStack.pop();
-            b = stack.pop();
+        var rings = this._clipRings();
+        var exclude = this._exclusionRings();
+        if (!rings && !exclude) {
+            return [[a, b]];
+        }
 
-            // Find the m point between the a and b coordinates
-            fracM = (fracA + fracB) / 2;
-            geoM = interpolate(fracM);
-            m = map.latLngToContainerPoint(L.latLng(geoM[1], geoM[0]));
+        // fractions along the segment where it crosses the clip path
+        var dx = b[0] - a[0];
+        var dy = b[1] - a[1];
+        var fracs = [0, 1];
+        var i;
+        var t;
+        var u;
+        var den;
+        var k;
+        var edges = [].concat.apply(rings || [], exclude || []);
+
+        for (k = 0; k < edges.length; k++) {
+            var clip = edges[k];
+            for (i = 0; i < clip.length - 1; i++) {
+                var ex = clip[i + 1][0] - clip[i][0];
+                var ey = clip[i + 1][1] - clip[i][1];
+                den = (dx * ey) - (dy * ex);
+                if (den != 0) {
+                    t = (((clip[i][0] - a[0]) * ey) - ((clip[i][1] - a[1]) * ex)) / den;
+                    u = (((clip[i][0] - a[0]) * dy) - ((clip[i][1] - a[1]) * dx)) / den;
+                    if ((t > 0) && (t < 1) && (u >= 0) && (u <= 1)) {
+                        fracs.push(t);
+                    }
+                }
+            }
+        }
+        fracs.sort(function (p, q) {
+            return p - q;
+        });
 
-            if (L.LineUtil.pointToSegmentDistance(m, a, b) < tolerance){
-              // If the m point is sufficiently close to the straight line, then we
-              // discard it.  Just use the b coordinate and move on to the next line
-              // segment.
-              coords.push(b);
-              key = fracB.toString();
-              fractions[key] = true;
-            }
-            else {
-              // Otherwise, we need to subdivide the current line segment.  Split it
-              // into two and push the two line segments onto the stack.
-              fractionStack.push(fracB, fracM, fracM, fracA);
-              stack.push(b, m, m, a);
-              geoStack.push(geoB, geoM, geoM, geoA);
+        // keep the parts with their middle inside, joining neighbours
+        var pieces = [];
+        var last = null;
+        for (i = 0; i < fracs.length - 1; i++) {
+            t = (fracs[i] + fracs[i + 1]) / 2;
+            var p = [a[0] + (t * dx), a[1] + (t * dy)];
+            if ((!rings || this._inside(p, rings)) && !this._excluded(p, exclude)) {
+                if (last && (last[1][0] == a[0] + (fracs[i] * dx)) && (last[1][1] == a[1] + (fracs[i] * dy))) {
+                    last[1] = [a[0] + (fracs[i + 1] * dx), a[1] + (fracs[i + 1] * dy)];
+                }
+                else {
+                    last = [[a[0] + (fracs[i] * dx), a[1] + (fracs[i] * dy)], [a[0] + (fracs[i + 1] * dx), a[1] + (fracs[i + 1] * dy)]];
+                    pieces.push(last);
+                }
             }
         }
-        return coords;
+        return pieces;
     },
 
 
-    // Determine if a point lies inside a polygon
-    // This is used to check if a point lies outside the clipping region.
-    // vs is an array of 2d points [[x,y],,,]
-    _inside: function (point, vs) {
-    // ray-casting algorithm based on
-    // http://www.ecse.rpi.edu/Homepages/wrf/Research/Short_Notes/pnpoly.html
+    // Lines of [lon, lat] points of a line inside latLonClipBounds, as drawn.
+    // Not applied when there is a clip path, as when drawn.
+    _clipLatLonLine: function (coords) {
 
-        var x = point[0];
-        var y = point[1];
+        if (this._clipPolygons() || !this.options.latLonClipBounds) {
+            return [coords];
+        }
+
+        var llb = L.latLngBounds(this.options.latLonClipBounds);
+        var pb = L.bounds([llb.getWest(), llb.getSouth()], [llb.getEast(), llb.getNorth()]);
+        var lines = [];
+        var line = null;
+        var seg;
         var i;
 
-        var inside = false;
-        for (i = 0, j = vs.length - 1; i < vs.length; j = i++) {
-            var xi = vs[i][0], yi = vs[i][1];
-            var xj = vs[j][0], yj = vs[j][1];
+        for (i = 0; i < coords.length - 1; i++) {
+            seg = L.LineUtil.clipSegment(L.point(coords[i]), L.point(coords[i + 1]), pb, false, false);
+            if (!seg) {
+                line = null;
+                continue;
+            }
+            if (!line || !seg[0].equals(L.point(line[line.length - 1]))) {
+                line = [[seg[0].x, seg[0].y]];
+                lines.push(line);
+            }
+            line.push([seg[1].x, seg[1].y]);
+        }
+        return lines;
+    },
 
-            var intersect = ((yi > y) != (yj > y))
-                && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
+
+    // Clips a polygon [[x, y], ...] to a rectangle [minX, minY, maxX, maxY], Sutherland-Hodgman.
+    // The polygon may be concave as the rectangle is convex. Returns an unclosed ring.
+    _clipPolygonToRect: function (poly, r) {
+
+        var edges = [
+            function (p) { return p[0] >= r[0]; },
+            function (p) { return p[1] >= r[1]; },
+            function (p) { return p[0] <= r[2]; },
+            function (p) { return p[1] <= r[3]; }
+        ];
+        var cuts = [
+            function (p, q) { return [r[0], p[1] + ((q[1] - p[1]) * (r[0] - p[0]) / (q[0] - p[0]))]; },
+            function (p, q) { return [p[0] + ((q[0] - p[0]) * (r[1] - p[1]) / (q[1] - p[1])), r[1]]; },
+            function (p, q) { return [r[2], p[1] + ((q[1] - p[1]) * (r[2] - p[0]) / (q[0] - p[0]))]; },
+            function (p, q) { return [p[0] + ((q[0] - p[0]) * (r[3] - p[1]) / (q[1] - p[1])), r[3]]; }
+        ];
+
+        var out = poly.slice();
+        var e;
+        var i;
+        var input;
+        var p;
+        var q;
+
+        for (e = 0; e < 4; e++) {
+            input = out;
+            out = [];
+            for (i = 0; i < input.length; i++) {
+                p = input[(i + input.length - 1) % input.length];
+                q = input[i];
+                if (edges[e](q)) {
+                    if (!edges[e](p)) {
+                        out.push(cuts[e](p, q));
+                    }
+                    out.push(q);
+                }
+                else if (edges[e](p)) {
+                    out.push(cuts[e](p, q));
+                }
+            }
         }
+        return out;
+    },
 
-        return inside;
+
+    // Signed area of a ring [[x, y], ...], positive if anticlockwise with y up
+    _ringArea: function (ring) {
+
+        var area = 0;
+        var i;
+        var j;
+
+        for (i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+        }
+        return area / 2;
     },
 
 
-    // Draw the grid.
-    // We compute, in the current grid interval, a bounding box that contains the map view.
-    // Then we draw vertical and horizontal grid lines for that box.
-    // Then we optionally label the left and right axis, taking care to avoid colliding labels.
-    // Then we optionally label each grid square in its bottom left corner.
-    _draw: function() {
+    // MetricGrid method
+    // Returns the grid reference of a Lat/Lon e.g. "TQ 3012 8045", or null if outside the grid bounds.
+    // Precision is the total number of digits (eastings plus northings), an even number 0..10, default 10.
+    // Grids without 100km square ids give full eastings and northings in metres at the same resolution.
+    toGridRef: function (latlng, precision) {
+
+        precision = (precision === undefined) ? 10 : precision;
+        if ((precision % 2 != 0) || (precision < 0) || (precision > 10)) {
+            throw new Error("Grid reference precision must be an even number of digits from 0 to 10, not " + precision);
+        }
 
-        var canvas = this._canvas;
-        var map = this._map;
+        latlng = L.latLng(latlng);
+        var g = this._proj().forward([latlng.lng, latlng.lat]);
+        var e = g[0];
+        var n = g[1];
+        var b = this.options.bounds;
 
-        if (L.Browser.canvas && map) {
-            var zoom = map.getZoom();
-            if (this.options.minZoom && zoom < this.options.minZoom)
-                return;
-            if (this.options.maxZoom && zoom > this.options.maxZoom)
-                return;
-            if (this.options.skipZoom && this.options.skipZoom.indexOf(zoom) > -1)
-                return;
+        if ((e < b[0][0]) || (e >= b[1][0]) || (n < b[0][1]) || (n >= b[1][1])) {
+            return null;
+        }
 
-            var spacing = this._calcInterval();
-            var proj = this.options.proj4ProjDef
-            var ctx = canvas.getContext("2d");
+        return this._formatGridRef(e, n, precision);
+    },
 
-            //set up canvas for drawing and writing
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.lineWidth = this.options.weight;
-            ctx.strokeStyle = this.options.color;
-            ctx.fillStyle = this.options.fontColor;
 
-            if (this.options.font) {
-                ctx.font = this.options.font;
-            }
-            var txtWidth = ctx.measureText("0").width;
-            var txtHeight;
-            var _font_frags = ctx.font.split(" ");
-            var i;
-            for (i=0; i < _font_frags.length; i+=1) {
-                txtHeight = parseInt(_font_frags[i], 10);
-                if (!isNaN(txtHeight)) {
-                    break;
-                }
-            }
+    // Grid reference of a grid position, see toGridRef
+    _formatGridRef: function (e, n, precision) {
 
-            // get bounds of map corners in grid projection
-            var mapB = map.getBounds();
-            var mapSW = mapB.getSouthWest();
-            var mapNE = mapB.getNorthEast();
-            var mapNW = mapB.getNorthWest();
-            var mapSE = mapB.getSouthEast();
-            var mapSWg = proj4(proj).forward([mapSW.lng, mapSW.lat]);
-            var mapNEg = proj4(proj).forward([mapNE.lng, mapNE.lat]);
-            var mapNWg = proj4(proj).forward([mapNW.lng, mapNW.lat]);
-            var mapSEg = proj4(proj).forward([mapSE.lng, mapSE.lat]);
-            
-            //also the middles of the sides of the map            
-            var mapSMg = proj4(proj).forward([mapB.getCenter().lng, mapB.getSouth()]);
-            var mapNMg = proj4(proj).forward([mapB.getCenter().lng, mapB.getNorth()]);
-            var mapWMg = proj4(proj).forward([mapB.getWest(), mapB.getCenter().lat]);
-            var mapEMg = proj4(proj).forward([mapB.getEast(), mapB.getCenter().lat,]);
-
-            // extend grid bounds to enclose the map corners           
-            var grdWx = Math.min(mapSWg[0], mapNWg[0]);
-            var grdEx = Math.max(mapSEg[0], mapNEg[0]);
-            var grdSy = Math.min(mapSWg[1], mapSEg[1]);
-            var grdNy = Math.max(mapNWg[1], mapNEg[1]);
-
-            // extend grid bounds to enclose the middles of the sides
-            grdWx = Math.min(mapWMg[0], grdWx);
-            grdEx = Math.max(mapEMg[0], grdEx);
-            grdSy = Math.min(mapSMg[1], grdSy);
-            grdNy = Math.max(mapNMg[1], grdNy);
-            
-            // round up/down based on the spacing
-            grdWx = Math.floor(grdWx / spacing) * spacing;
-            grdSy = Math.floor(grdSy / spacing) * spacing;
-            grdEx = Math.ceil(grdEx / spacing) * spacing;
-            grdNy = Math.ceil(grdNy / spacing) * spacing;
+        var digits = precision / 2;
+        var res = Math.pow(10, 5 - digits);
+        var sq = this._squareId(e, n);
 
-            var canvasClipBounds = null;
-            if (this.options.clip) {
-                // if any of the corners of our grid are outside the clip path then we need to clip
-                // must do this before restricting to grid bounds
+        if (!sq) {
+            return (Math.floor(e / res) * res) + " " + (Math.floor(n / res) * res);
+        }
 
-                var swInClip = this._inside([grdWx, grdSy], this.options.clip);
-                var seInClip = this._inside([grdEx, grdSy], this.options.clip);
-                var neInClip = this._inside([grdEx, grdNy], this.options.clip);
-                var nwInClip = this._inside([grdWx, grdNy], this.options.clip);
+        var r = sq;
+        if (digits > 0) {
+            r += " " + this._padDigits(Math.floor((e % 100000) / res), digits);
+            r += " " + this._padDigits(Math.floor((n % 100000) / res), digits);
+        }
+        return r;
+    },
 
-                if ((!swInClip) || (!seInClip) || (!neInClip) || (!nwInClip)){
-                    this._setClip(ctx);
-                }
-            }
-            else if (this.options.latLonClipBounds) {     
-                canvasClipBounds = this._setLLClipBounds(ctx, map);
-            }
 
-            // Limit to grid bounds. We don't need to draw anything
-            // if the map is way outside the area of the grid.
-            if (grdWx < this.options.bounds[0][0]) {
-                grdWx = Math.floor(this.options.bounds[0][0] / spacing) * spacing;
-            }
-            if (grdWx > this.options.bounds[1][0]) {
-                return; // left of grid > east limit
-            }
-            if (grdEx > this.options.bounds[1][0]) {
-                grdEx = Math.ceil(this.options.bounds[1][0] / spacing) * spacing;
-            }
-            if (grdEx < this.options.bounds[0][0]) {
-                return; // right of grid < west limit
+    // MetricGrid method
+    // Parses a grid reference as given by toGridRef. Spaces and case are ignored.
+    // Returns {latlng, bounds, gridBounds, precision} where latlng is the middle of the referenced square,
+    // bounds is its L.LatLngBounds and gridBounds is its L.Bounds in grid coordinates.
+    // Throws an Error if the reference can not be parsed or is not in this grid.
+    fromGridRef: function (ref) {
+
+        var str = String(ref).trim().toUpperCase();
+        var e;
+        var n;
+        var res;
+        var digits;
+
+        // all numeric, full eastings and northings in metres
+        var m = str.match(/^(\d+)[\s,]+(\d+)$/);
+        if (m) {
+            e = parseInt(m[1], 10);
+            n = parseInt(m[2], 10);
+
+            // resolution follows the trailing zeros, as given by toGridRef
+            for (digits = 5; digits > 0; digits--) {
+                res = Math.pow(10, digits);
+                if ((e % res == 0) && (n % res == 0)) {
+                    break;
+                }
             }
-            if (grdSy < this.options.bounds[0][1]) {
-                grdSy = Math.floor(this.options.bounds[0][1] / spacing) * spacing;
+            res = Math.pow(10, digits);
+            digits = 5 - digits;
+        }
+        else {
+            // 100km square id (which may itself contain digits) then eastings and northings digits
+            m = str.match(/^(.*[A-Z])\s*(\d*)(?:\s+(\d+))?$/);
+            if (!m) {
+                throw new Error("Invalid grid reference '" + ref + "'");
             }
-            if (grdSy > this.options.bounds[1][1]) {
-                return; // south of grid > north limit
+            if (m[3] && (m[2].length != m[3].length)) {
+                throw new Error("Grid reference '" + ref + "' must have the same number of eastings and northings digits");
             }
-            if (grdNy > this.options.bounds[1][1]) {
-                grdNy = Math.ceil(this.options.bounds[1][1] / spacing) * spacing;
+
+            var sq = m[1].replace(/\s+/g, "");
+            var num = m[2] + (m[3] || "");
+            if ((num.length % 2 != 0) || (num.length > 10)) {
+                throw new Error("Grid reference '" + ref + "' must have an even number of digits from 0 to 10");
             }
-            if (grdNy < this.options.bounds[0][1]) {
-                return; // north of grid < south limit
+
+            var origin = this._squareOrigin(sq);
+            if (!origin) {
+                throw new Error("Unknown 100km square '" + sq + "' in grid reference '" + ref + "'");
             }
 
-            var ww = canvas.width;
-            var hh = canvas.height;
+            digits = num.length / 2;
+            res = Math.pow(10, 5 - digits);
+            e = origin[0] + ((digits > 0) ? parseInt(num.substr(0, digits), 10) * res : 0);
+            n = origin[1] + ((digits > 0) ? parseInt(num.substr(digits), 10) * res : 0);
+        }
 
-            // now draw lines
-            var d = spacing;
-            var d2 = d / 2;
+        var b = this.options.bounds;
+        if ((e < b[0][0]) || (e >= b[1][0]) || (n < b[0][1]) || (n >= b[1][1])) {
+            throw new Error("Grid reference '" + ref + "' is outside the grid bounds");
+        }
 
-            // Verticals of constant Eastings
-            var h = grdNy - grdSy;
-            for (x = grdWx; x <= grdEx; x += d) {
+        return this._gridSquare(e, n, res, digits * 2);
+    },
 
-                // interpolate northings from top to bottom
-                function _interpolateY (frac) {
-                    return proj4(proj).inverse([x, grdNy - (frac * h)]);
-                }
 
-                var pts = this._getPoints(_interpolateY, 1.0, map)
+    // MetricGrid method
+    // True if a Lat/Lon is within the grid bounds and any clip or latLonClipBounds
+    contains: function (latlng) {
 
-                ctx.beginPath();
-                ctx.moveTo(pts[0].x, pts[0].y);
-                for (i = 1; i < pts.length; i++) {
-                    ctx.lineTo(pts[i].x, pts[i].y);
-                }
-                ctx.stroke();
-            }
+        latlng = L.latLng(latlng);
+        var g = this._proj().forward([latlng.lng, latlng.lat]);
+        var b = this.options.bounds;
 
-            // Horizontals of constant Northings
-            var w = grdEx - grdWx;
-            for (y = grdSy; y <= grdNy; y += d) {
+        if ((g[0] < b[0][0]) || (g[0] >= b[1][0]) || (g[1] < b[0][1]) || (g[1] >= b[1][1])) {
+            return false;
+        }
+        var rings = this._clipRings();
+        if (rings && !this._inside(g, rings)) {
+            return false;
+        }
+        if (this._excluded(g, this._exclusionRings())) {
+            return false;
+        }
+        if (this.options.latLonClipBounds && !L.latLngBounds(this.options.latLonClipBounds).contains(latlng)) {
+            return false;
+        }
+        return true;
+    },
 
-                // interpolate eastings from right to left
-                function _interpolateX (frac) {
-                    return proj4(proj).inverse([grdEx - (frac * w), y]);
-                }
 
-                var pts = this._getPoints(_interpolateX, 1.0, map)
+    // Grid reference precision (total digits) matching a grid interval, default the interval currently drawn
+    _intervalPrecision: function (interval) {
+        var digits = 5 - Math.floor(Math.log(interval || this._calcInterval()) / Math.LN10 + 1e-9);
+        return 2 * Math.max(0, Math.min(5, digits));
+    },
 
-                ctx.beginPath();
-                ctx.moveTo(pts[0].x, pts[0].y);
-                for (i = 1; i < pts.length; i++) {
-                    ctx.lineTo(pts[i].x, pts[i].y);
-                }
-                ctx.stroke();
-            }
 
-            // Now the axis labels
-            // We label the West and South axis at grid croosings that are on screen.
-            // We label in the middle of the vertical or horizontal edge of a grid square,
-            // like the OS do on their printed maps. This means the labels never collide.
-            
-            ctx.fillStyle=this.options.color; // for rub out
-            var rubWidth = this.options.weight * 3;
-            
-            // Eastings axis labels
-            if (this.options.showAxisLabels.indexOf(d) >= 0) {
-                for (x = grdWx; x <= grdEx; x += d) {
-                    for (y = grdSy; y <= grdNy; y += d) {
-
-                        var ll = proj4(proj).inverse([x, y+d2]); // middle of vertical square edge
-                        var s = map.latLngToContainerPoint(L.latLng(ll[1], ll[0])); // screen point
-
-                        // check on screen and within grid bounds
-                        if ((s.x > 0) && (s.y < hh) && (x < this.options.bounds[1][0])) {
-                            
-                            if (this.options.clip) {
-                                if (!this._inside([x, y+d2], this.options.clip)) {
-                                    continue;
-                                }
-                            }
-                            else if (this.options.latLonClipBounds) {
-                                if (!canvasClipBounds.contains([s.x, s.y])) {
-                                    continue;
-                                }
-                            }
-                            
-                            var eStr = this._format_eastings(x, d);
-                            txtWidth = ctx.measureText(eStr).width;
-                            
-                            // rub out the bit of the grid line the text will be over
-                            ctx.globalCompositeOperation = "destination-out";
-                            ctx.fillRect(s.x - (rubWidth/2), s.y-txtHeight, rubWidth, txtHeight * 1.2);
-                            ctx.globalCompositeOperation = "source-over";
-                            
-                            ctx.fillText(eStr, s.x - (txtWidth / 2), s.y);
-                            break;
-                        }
-                    }
-                }
-            }
+    // Lat/Lon middle, bounds and grid bounds of the grid square with bottom left corner e, n and side length res
+    _gridSquare: function (e, n, res, precision) {
 
-            // Northings axis labels
-            if (this.options.showAxisLabels.indexOf(d) >= 0) {
-                for (y = grdSy; y <= grdNy; y += d) {
-                    for (x = grdWx; x <= grdEx; x += d) {
+        var proj = this._proj();
+        var corners = [[e, n], [e + res, n], [e + res, n + res], [e, n + res]];
+        var bounds = L.latLngBounds([]);
+        var i;
+        var ll;
 
-                        var ll = proj4(proj).inverse([x+d2, y]); // middle of horizontal square edge
-                        var s = map.latLngToContainerPoint(L.latLng(ll[1], ll[0])); // screen point
-
-                        // check on screen and within grid bounds
-                        if ((s.x > 0) && (s.y < hh) && (y < this.options.bounds[1][1])) {
-                            
-                            if (this.options.clip) {
-                                if (!this._inside([x+d2, y], this.options.clip)) {
-                                    continue;
-                                }
-                            }
-                            else if (this.options.latLonClipBounds) {
-                                if (!canvasClipBounds.contains([s.x, s.y])) {
-                                    continue;
-                                }
-                            }
-                            
-                            var nStr = this._format_northings(y, d);
-                            txtWidth = ctx.measureText(nStr).width;
-                            
-                            // rub out the bit of the grid line the text will be over
-                            ctx.globalCompositeOperation = "destination-out";
-                            ctx.fillRect(s.x - txtWidth * 0.1, s.y - (rubWidth/2), txtWidth * 1.2, rubWidth);
-                            ctx.globalCompositeOperation = "source-over";
-                                                        
-                            ctx.fillText(nStr, s.x, s.y + (txtHeight / 2));
-                            break;
-                        }
-                    }
-                }
-            }
+        for (i = 0; i < corners.length; i++) {
+            ll = proj.inverse(corners[i]);
+            bounds.extend(L.latLng(ll[1], ll[0]));
+        }
 
-            // Grid Square labels in bottom left of each square, with a 2px padding
-            var str;
-            if (this.options.showSquareLabels.indexOf(d) >= 0) {
-                for (y = grdSy; y <= grdNy; y += d) {
-                    for (x = grdWx; x <= grdEx; x += d) {
+        ll = proj.inverse([e + (res / 2), n + (res / 2)]);
 
-                        var ll = proj4(proj).inverse([x, y]); // bottom left corner of grid square
-                        var s = map.latLngToContainerPoint(L.latLng(ll[1], ll[0]));
-
-                        // check on screen and within grid bounds
-                        if ((s.x > 0) && (s.y < hh) && (x < this.options.bounds[1][0]) && (y < this.options.bounds[1][1])) {
-                            var nStr = this._format_northings(y, d);
-                            var eStr = this._format_eastings(x, d);
-                            var sq = this.options.hundredKmSquareFunc(x, y);
-                            str = sq;
-                            if (d < 100000) {
-                                str += eStr + nStr;
-                            }
-                            ctx.fillText(str, s.x + 2, s.y - 2);
-                        }
-                    }
+        return {
+            latlng: L.latLng(ll[1], ll[0]),
+            bounds: bounds,
+            gridBounds: L.bounds([e, n], [e + res, n + res]),
+            precision: precision
+        };
+    },
+
+
+    // 100km square id of a grid position, as used for square labels and grid references
+    _squareId: function (e, n) {
+        return this.options.hundredKmSquareFunc(e, n);
+    },
+
+
+    // 100km square id prefixing the label of the grid square with bottom left corner e, n
+    _squareLabelId: function (e, n, spacing) {
+        return this.options.hundredKmSquareFunc(e, n);
+    },
+
+
+    // Bottom left grid coordinates of a 100km square given its id, or null if there is no such square
+    _squareOrigin: function (sq) {
+
+        if (this.options.hundredKmSquareInverseFunc) {
+            return this.options.hundredKmSquareInverseFunc(sq);
+        }
+
+        // search the 100km squares of the grid bounds
+        var b = this.options.bounds;
+        var e;
+        var n;
+        for (n = Math.floor(b[0][1] / 100000) * 100000; n < b[1][1]; n += 100000) {
+            for (e = Math.floor(b[0][0] / 100000) * 100000; e < b[1][0]; e += 100000) {
+                if (this._squareId(e, n).replace(/\s+/g, "").toUpperCase() == sq) {
+                    return [e, n];
                 }
             }
         }
+        return null;
     },
 
-});
 
-// instance factory
-L.metricGrid = function (options) {
-    return new L.MetricGrid(options);
-};
+    // left pad a number with zeros to the given number of digits
+    _padDigits: function (v, digits) {
+        var s = v.toString();
+        while (s.length < digits) {
+            s = "0" + s;
+        }
+        return s;
+    },
 
-/** Definitions for a British Grid - EPSG code 27700
-* Clip path avoids overlaying L.IrishGrid.
-*/
-L.BritishGrid = L.MetricGrid.extend({
 
-    options: {
-        proj4ProjDef: "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +datum=OSGB36 +units=m +no_defs",
-        bounds: [[0, 0] , [700000, 1300000]],
-        clip: [[0, 0], [700000, 0], [700000, 1300000], [0, 1300000], [0, 700000],
-               [100000, 650000], [150000, 600000],  [190000, 550000], [200000, 500000], [200000, 400000],[0,0]],
-        hundredKmSquareFunc: function(e, n) {
-            var osgbGridSquares =  // index by  Northing kM / 100, Easting kM / 100
-            [
-                ["SV","SW","SX","SY","SZ","TV","TW"],
-                ["SQ","SR","SS","ST","SU","TQ","TR"],
-                ["SL","SM","SN","SO","SP","TL","TM"],
-                ["SF","SG","SH","SJ","SK","TF","TG"],
-                ["SA","SB","SC","SD","SE","TA","TB"],
-                ["SV","NW","NX","NY","NZ","OV","OW"],
-                ["NQ","NR","NS","NT","NU","OQ","OR"],
-                ["NL","NM","NN","NO","NP","OL","OM"],
-                ["NF","NG","NH","NJ","NK","OF","OG"],
-                ["NA","NB","NC","ND","NE","OA","OB"],
-                ["HV","HW","HX","HY","HZ","JV","JW"],
-                ["HQ","HR","HS","HT","HU","JQ","JR"],
-                ["HL","HM","HN","HO","HP","JL","JM"]
-            ];
-            var eSq = Math.floor(e / 100000);
-            var nSq = Math.floor(n / 100000);
-            return ((eSq < 7) && (nSq < 13) && (eSq >= 0) && (nSq >= 0)) ? osgbGridSquares[nSq][eSq] : "--";
-        }
-    }
-});
+    // True if the grid is drawn at a zoom, according to minZoom, maxZoom and skipZoom
+    _zoomDrawn: function (zoom) {
+        if (this.options.minZoom && zoom < this.options.minZoom)
+            return false;
+        if (this.options.maxZoom && zoom > this.options.maxZoom)
+            return false;
+        if (this.options.skipZoom && this.options.skipZoom.indexOf(zoom) > -1)
+            return false;
+        return true;
+    },
 
-// instance factory
-L.britishGrid = function (options) {
-    return new L.BritishGrid(options);
-};
 
-/** Definitions for a Irish Grid - EPSG code 29903 (TM75)
-* Clip path avoids overlaying L.BritishGrid
-*/
-L.IrishGrid = L.MetricGrid.extend({
+    // Interactive mode map click handler.
+    // Fires squareclick with the grid square clicked at the interval being drawn:
+    // latlng, ref (its grid reference), interval, corners (grid coordinates anticlockwise from bottom left),
+    // outline (its curved edges as Lat/Lons) and bounds (L.LatLngBounds of the outline).
+    _onMapClick: function (e) {
 
-    options: {
-        proj4ProjDef: "+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=1.000035 +x_0=200000 +y_0=250000 +ellps=mod_airy +towgs84=482.5,-130.6,564.6,-1.042,-0.214,-0.631,8.15 +uni+units=m +no_defs",
-        bounds: [[0, 0] , [500000, 500000]],
-        clip: [
-            [0, 0],
-            [290000, 0],
-            [370000, 300000],
-            [370000, 400000],
-            [310000, 460000],
-            [200000, 500000],
-            [0, 500000],
-            [0, 0]],
-        hundredKmSquareFunc: function(e, n) {
-            var    irishGridSquares = // index by Easting kM / 100, Northing kM / 100
-            [
-            ["V", "Q", "L", "F", "A"],
-            ["W", "R", "M", "G", "B"],
-            ["X", "S", "N", "H", "C"],
-            ["Y", "T", "O", "J", "D"],
-            ["Z", "U", "P", "K", "E"]
-            ];
-            var eSq = Math.floor(e / 100000);
-            var nSq = Math.floor(n / 100000);
-            return ((eSq < 5) && (nSq < 5) && (eSq >= 0) && (nSq >= 0)) ? irishGridSquares[eSq][nSq] : "--";
+        var map = this._map;
+        if (!this._zoomDrawn(map.getZoom()) || !this.contains(e.latlng)) {
+            return;
         }
-    }
-});
 
-// instance factory
-L.irishGrid = function (options) {
-    return new L.IrishGrid(options);
-};
+        var d = this._calcInterval();
+        var proj = this._proj();
+        var g = proj.forward([e.latlng.lng, e.latlng.lat]);
+        var x = Math.floor(g[0] / d) * d;
+        var y = Math.floor(g[1] / d) * d;
+        var corners = [[x, y], [x + d, y], [x + d, y + d], [x, y + d]];
+        var outline = [];
+        var i;
+        var j;
+        var pts;
 
-/** Definitions for UTM grid
-*/
+        for (i = 0; i < corners.length; i++) {
 
-L.UtmGrid = L.MetricGrid.extend({
+            var c1 = corners[i];
+            var c2 = corners[(i + 1) % corners.length];
 
-    options: {
-        bounds: [[100000, 0] , [900000, 9400000]]
-    },
-    
-    initialize: function(zone, bSouth, options) {
-        
-        options.proj4ProjDef = "+proj=utm +zone=" + zone + " +ellps=WGS84 +datum=WGS84 +units=m +no_defs";
-        if (bSouth) {
-            options.proj4ProjDef += " +south";
-            options.bounds = [[100000, 600000] , [900000, 10000000]];
+            // interpolate along the square edge
+            function _interpolate (frac) {
+                return proj.inverse([c1[0] + (frac * (c2[0] - c1[0])), c1[1] + (frac * (c2[1] - c1[1]))]);
+            }
+
+            // get set of map line segments fitted to this edge with a maximum error of 1 pixel
+            pts = this._getPoints(_interpolate, 1.0, map);
+            for (j = (i == 0) ? 0 : 1; j < pts.length; j++) {
+                outline.push(map.containerPointToLatLng(pts[j]));
+            }
         }
 
-        options.hundredKmSquareFunc = function(e, n) {
-            
-            var r = "";
-            
-            // 100kM square UTM Easting letters, standard treatment (NIMA 8358.1 Appx B3)
+        var ref = this.toGridRef(e.latlng, this._intervalPrecision());
 
-            var UTMEast = [
-            "ABCDEFGH", // zones 1,4, ...,   -400, -300, -200, -100, 0, 100, 200, 300 kM
-            "JKLMNPQR", // zones 2,5, ...,
-            "STUVWXYZ"  // zones 3,6, ...,
-            ];
+        this.fire("squareclick", {
+            latlng: e.latlng,
+            ref: ref,
+            interval: d,
+            corners: corners,
+            outline: outline,
+            bounds: L.latLngBounds(outline)
+        });
+
+        if (this.options.squarePopup) {
+            this._openSquarePopup(e.latlng, ref);
+        }
+    },
+
+
+    // Popup showing a grid square reference with a copy button
+    _openSquarePopup: function (latlng, ref) {
+
+        var div = L.DomUtil.create("div", "leaflet-metricgrid-popup");
+        var span = L.DomUtil.create("span", "", div);
+        var btn = L.DomUtil.create("button", "", div);
+
+        span.appendChild(document.createTextNode(ref + " "));
+        btn.type = "button";
+        btn.innerHTML = "Copy";
+        L.DomEvent.on(btn, "click", function () {
+            L.MetricGrid.copyText(ref);
+        });
+
+        L.popup().setLatLng(latlng).setContent(div).openOn(this._map);
+    },
+
+
+    // Private method to initialize a drawing canvas for the grid.
+    // When the map animates zooms, the canvas is CSS transformed during the animation (see _animateZoom).
+    _initCanvas: function () {
+
+        this._container = L.DomUtil.create("div", "leaflet-image-layer leaflet-zoom-" + (this._zoomAnimated ? "animated" : "hide"));
+        if (this.options.renderer == "svg") {
+            this._canvas = document.createElementNS(L.MetricGrid.SvgContext.NS, "svg");
+            this._svgContext = new L.MetricGrid.SvgContext(this._canvas);
+        }
+        else {
+            this._canvas = L.DomUtil.create("canvas", "");
+        }
+        this._updateOpacity();
+        this._container.appendChild(this._canvas);
+
+        // No canvas interactions
+        L.extend(this._canvas, {
+            onselectstart: L.Util.falseFn,
+            onmousemove: L.Util.falseFn
+        });
+    },
+
+
+    // Sets the clip region for a grid.
+    // Useful at low zooms to prevent multiple grids drawing on top of each other.
+    // See the demo for clipping of the British and Irish grids.
+    // The clip path is specified in the options as a ring of grid coordinates or as GeoJSON, see _clipPolygons.
+    // Rings should be simple closed polygons and start and end with the same point.
+    // Individual points are an array of two coordinates - east/x then north/y.
+    // The rings are filled by the even-odd rule, so holes and several polygons clip as expected.
+    // The clip outline is drawn using the same pen (color and width) as the grid lines
+    // Clipping is only used if one or more of the corners of the grid covering the visible map
+    // lie outside of the clipping path, or the clip path has a point inside that grid.
+    // rings are the drawing points of the clip rings, from _clipPoints.
+    _setClip: function (ctx, rings) {
+
+        var i;
+        var k;
+        var pts;
+
+        // draw the clip path
+        ctx.beginPath();
+        for (k = 0; k < rings.length; k++) {
+            pts = rings[k];
+            ctx.moveTo(pts[0].x, pts[0].y);
+            for (i = 1; i < pts.length; i += 1) {
+                ctx.lineTo(pts[i].x, pts[i].y);
+            }
+            ctx.closePath();
+        }
+
+        // finish the path and set the clip region
+        if (this.options.drawClip) {
+            ctx.stroke();
+        }
+        ctx.clip("evenodd");
+    },
+
+
+    // Leaves an area to another grid: later drawing is clipped to the view outside it.
+    // rings are the drawing points of the area, filled even-odd, so inside the view and the area is outside the clip.
+    _setExclusion: function (ctx, rings, view) {
+
+        var i;
+        var k;
+        var pts;
+
+        ctx.beginPath();
+        ctx.rect(view.offset.x - 1, view.offset.y - 1, view.size.x + 2, view.size.y + 2);
+        for (k = 0; k < rings.length; k++) {
+            pts = rings[k];
+            ctx.moveTo(pts[0].x, pts[0].y);
+            for (i = 1; i < pts.length; i++) {
+                ctx.lineTo(pts[i].x, pts[i].y);
+            }
+            ctx.closePath();
+        }
+        ctx.clip("evenodd");
+    },
+
+
+    // Drawing points of the clip rings in grid coordinates, see _setClip.
+    // key identifies the rings in the line cache, "c" for the clip.
+    _clipPoints: function (view, rings, key) {
+
+        var proj = this._proj();
+        var r = [];
+        var i;
+        var k;
+
+        // iterate the segments of the clip path
+        var x2;
+        var y2;
+        var x1;
+        var y1;
+        var dX;
+        var dY;
+
+        for (k = 0; k < rings.length; k++) {
+
+            var clip = rings[k];
+            var pts = [];
+
+            for(i=0; i < (clip.length-1); i+=1) {
+
+                x2 = clip[i+1][0];
+                x1 = clip[i][0];
+                y2 = clip[i+1][1];
+                y1 = clip[i][1];
+                dX = x2-x1;
+                dY = y2-y1;
+
+                // interpolate a point along the line segment
+                function _interpolate (frac) {
+                    return proj.inverse([x1 + (frac * dX), y1 + (frac * dY)]);
+                }
+
+                // get set of map line segments fitted to this segment with a maximum error of 1 pixel
+                Array.prototype.push.apply(pts, this._linePoints(key + k + ":" + i, _interpolate, view));
+            }
+            r.push(pts);
+        }
+
+        return r;
+    },
+
+
+    // sets a rectangular lat/lon clip
+    // the latLonClipBounds should be [[bottom lat, left lon],[top lat, right lon]]
+    // The edges are parallels and meridians, which may curve on the map's CRS.
+    // return is the clip path in canvas coords, as [x, y] points
+    _setLLClipBounds: function (ctx, view) {
+
+        var b = L.latLngBounds(this.options.latLonClipBounds);
+        var corners = [b.getSouthWest(), b.getSouthEast(), b.getNorthEast(), b.getNorthWest(), b.getSouthWest()];
+        var path = [];
+        var i;
+        var j;
+        var pts;
+
+        for (i = 0; i < corners.length - 1; i++) {
+
+            var ll1 = corners[i];
+            var ll2 = corners[i + 1];
+
+            // interpolate along the parallel or meridian
+            function _interpolate (frac) {
+                return [ll1.lng + (frac * (ll2.lng - ll1.lng)), ll1.lat + (frac * (ll2.lat - ll1.lat))];
+            }
+
+            pts = this._getPoints(_interpolate, 1.0, view.toPoint);
+            for (j = (i == 0) ? 0 : 1; j < pts.length; j++) {
+                path.push(pts[j]);
+            }
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(path[0].x, path[0].y);
+        for (i = 1; i < path.length; i++) {
+            ctx.lineTo(path[i].x, path[i].y);
+        }
+        
+        // finish the path and set the clip region
+        if (this.options.drawClip) {
+            ctx.stroke();                
+        }
+        ctx.clip();        
+        
+        // for use when labelling, as [x, y] points for _inside
+        return path.map(function (p) {
+            return [p.x, p.y];
+        });
+    },
+
+
+    // Redraw on the next animation frame, so several map events in a frame cause one redraw
+    _scheduleReset: function () {
+        if (!this._resetFrame) {
+            this._resetFrame = L.Util.requestAnimFrame(function () {
+                this._resetFrame = null;
+                this._reset();
+            }, this);
+        }
+    },
+
+
+    // redraw the overlay after a map pan or zoom etc
+    _reset: function () {
+
+        var view = this._mapView();
+        var lt = this._map.containerPointToLayerPoint([0, 0]);
+        var job = this._zoomDrawn(view.zoom) ? this._drawJob(view) : null;
+        var worker = null;
+
+        if (this.options.worker && !this._svgContext && (this._map.options.crs === L.CRS.EPSG3857) && job) {
+            worker = L.MetricGrid.getWorker();
+        }
+        if (!worker) {
+            this._dropWorkerJobs(); // a synchronous draw supersedes any still with the worker
+        }
+
+        this.fire("drawstart", {zoom: view.zoom, interval: (job && job.ext) ? job.spacing : null});
+
+        if (worker) {
+            this._postGeometry(worker, view, lt, job);
+        }
+        else {
+            this._place(view, lt);
+            this._draw(null, view, job && this._geometry(view, job));
+            this._drawn(view, job);
+        }
+    },
+
+
+    // Keeps the state of a draw of the map view for job, null if the zoom is not drawn, and fires the events.
+    // intervalchange and outofbounds as for _setDrawn, then drawend and load.
+    _drawn: function (view, job) {
+        this._setDrawn(view, job);
+        this.fire("drawend", {zoom: view.zoom, interval: this.getInterval(), gridBounds: this._drawnBounds});
+        this.fire("load");
+    },
+
+
+    // Keeps the state of the map view for job, null if the zoom is not drawn, for the getters.
+    // Fires intervalchange when the interval shown changes and outofbounds when the view leaves the grid bounds.
+    _setDrawn: function (view, job) {
+
+        var visible = !!(job && job.ext);
+        var out = !!(job && !job.ext);
+        var previous = this._drawnInterval;
+
+        this._drawnVisible = visible;
+        this._drawnBounds = visible ? L.bounds([job.ext[0], job.ext[1]], [job.ext[2], job.ext[3]]) : null;
+
+        if (visible && (job.spacing !== previous)) {
+            this._drawnInterval = job.spacing;
+            this.fire("intervalchange", {interval: job.spacing, previous: previous || null});
+        }
+        if (out && !this._outOfBounds) {
+            this.fire("outofbounds", {zoom: view.zoom, bounds: this._map.getBounds()});
+        }
+        this._outOfBounds = out;
+    },
+
+
+    // position and size the canvas for drawing a view, lt is the layer point of the map's top left
+    _place: function (view, lt) {
+
+        var container = this._container;
+        var canvas = this._canvas;
+        var size = view.size;
+
+        // position the canvas ontop of the map, this also clears any zoom animation transform
+        L.DomUtil.setPosition(container, lt);
+        this._drawTopLeft = this._map.unproject(view.origin, view.zoom);
+
+        container.style.width = size.x + "px";
+        container.style.height = size.y + "px";
+
+        if (this._svgContext) {
+            this._svgContext.setSize(size.x, size.y);
+        }
+        else {
+            // backing store at the device pixel ratio so lines and labels are sharp on high DPI screens,
+            // drawing is scaled back to CSS pixels in _draw
+            canvas.width  = Math.round(size.x * view.pixelRatio);
+            canvas.height = Math.round(size.y * view.pixelRatio);
+        }
+        canvas.style.width  = size.x + "px";
+        canvas.style.height = size.y + "px";
+    },
+
+
+    // Has the grid worker work out the geometry of a view for a job. The canvas is moved and painted when
+    // the worker replies, so the last drawing stays in place meanwhile. Each grid has one job at a time
+    // with the worker; views while it is busy wait, and only the latest of them is posted when it replies.
+    _postGeometry: function (worker, view, lt, job) {
+
+        var req = {worker: worker, view: view, lt: lt, job: job, pixelOrigin: this._map.getPixelOrigin()};
+
+        if (this._workerPosted) {
+            if (this._workerWaiting) {
+                this._dropped(this._workerWaiting.view);
+            }
+            this._workerWaiting = req;
+        }
+        else {
+            this._sendGeometry(req);
+        }
+    },
+
+
+    // Posts a job to the grid worker
+    _sendGeometry: function (req) {
+
+        var view = req.view;
+
+        this._workerSeq = (this._workerSeq || 0) + 1;
+        req.id = this._workerSeq;
+        this._workerPosted = req;
+        L.MetricGrid._workerGrids[L.stamp(this)] = this;
+
+        req.worker.postMessage({
+            grid: L.stamp(this),
+            id: req.id,
+            options: {
+                proj4ProjDef: this.options.proj4ProjDef
+            },
+            view: {
+                zoom: view.zoom,
+                scale: this._map.options.crs.scale(view.zoom),
+                origin: {x: view.origin.x, y: view.origin.y}
+            },
+            job: req.job
+        });
+    },
+
+
+    // Paints geometry from the grid worker, for the job posted last. Results the worker dropped, and results
+    // from before a zoom, are dropped, then the view waiting, if any, is posted.
+    _onWorkerGeometry: function (data) {
+
+        var posted = this._workerPosted;
+        var waiting = this._workerWaiting;
+
+        if (!this._map || !posted || (data.id !== posted.id)) {
+            return;
+        }
+        this._workerPosted = null;
+        this._workerWaiting = null;
+
+        var view = posted.view;
+        if (data.dropped || (view.zoom !== this._map.getZoom()) ||
+            !posted.pixelOrigin.equals(this._map.getPixelOrigin())) {
+            this._dropped(view);
+        }
+        else {
+            this._place(view, posted.lt);
+            this._draw(null, view, data.geom);
+            this._drawn(view, data.geom.job);
+        }
+
+        if (waiting) {
+            this._sendGeometry(waiting);
+        }
+    },
+
+
+    // Drops the draws still with the grid worker or waiting for it, see _dropped
+    _dropWorkerJobs: function () {
+
+        var posted = this._workerPosted;
+        var waiting = this._workerWaiting;
+
+        this._workerPosted = null;
+        this._workerWaiting = null;
+        if (posted) {
+            this._dropped(posted.view);
+        }
+        if (waiting) {
+            this._dropped(waiting.view);
+        }
+    },
+
+
+    // Ends a draw that was superseded before it was painted, so each drawstart has its drawend.
+    // The interval and gridBounds are those still drawn.
+    _dropped: function (view) {
+        this.fire("drawend", {zoom: view.zoom, interval: this.getInterval(), gridBounds: this.getGridBounds(), dropped: true});
+    },
+
+
+    // Watch for a change of device pixel ratio, e.g. when the window moves to another monitor
+    _watchPixelRatio: function () {
+
+        this._unwatchPixelRatio();
+        if (window.matchMedia) {
+            this._pixelRatioQuery = window.matchMedia("(resolution: " + (window.devicePixelRatio || 1) + "dppx)");
+            this._pixelRatioQuery.addListener(this._onPixelRatioChange);
+        }
+    },
+
+
+    _unwatchPixelRatio: function () {
+        if (this._pixelRatioQuery) {
+            this._pixelRatioQuery.removeListener(this._onPixelRatioChange);
+            this._pixelRatioQuery = null;
+        }
+    },
+
+
+    // redraw at the new device pixel ratio and watch for the next change
+    _onPixelRatioChange: function () {
+        this._watchPixelRatio();
+        this._reset();
+    },
+
+
+    // Scale and move the last drawn canvas to follow a zoom animation, as L.ImageOverlay does.
+    // The grid is redrawn at the new zoom when the animation ends.
+    _animateZoom: function (e) {
+        var scale = this._map.getZoomScale(e.zoom);
+        var offset = this._map._latLngToNewLayerPoint(this._drawTopLeft, e.zoom, e.center);
+        L.DomUtil.setTransform(this._container, offset, scale);
+    },
+
+
+    // The proj4 converter for the grid projection, built once and rebuilt if proj4ProjDef changes
+    _proj: function () {
+        if (this._projDef !== this.options.proj4ProjDef) {
+            this._projDef = this.options.proj4ProjDef;
+            this._projConverter = proj4(this._projDef);
+        }
+        return this._projConverter;
+    },
+
+
+    // The drawing context of the layer, a 2D canvas context or a L.MetricGrid.SvgContext
+    _context: function () {
+        if (this._svgContext) {
+            return this._svgContext;
+        }
+        return L.Browser.canvas ? this._canvas.getContext("2d") : null;
+    },
+
+
+    // internal opacity control
+    _updateOpacity: function () {
+        L.DomUtil.setOpacity(this._canvas, this.options.opacity);
+    },
+
+
+    // Formats eastings or northings within a 100km square for axis / square labelling
+    // Most grids repeat their numbering every 100km
+    // Uses enough digits for the grid spacing, so 2x and 5x spacings label the same as the power of 10 below:
+    // If grid spacing < 100m (e.g. 50m), uses 4 digits,
+    // else if grid spacing < 1km (e.g. 100m, 200m, 500m), uses 3 digits,
+    // else if grid spacing < 10km (e.g. 1km, 2km, 5km) uses 2 digits,
+    // else one digit (e.g. 10km, 20km, 50km, 100km)
+    // With the "metres" or "km" labelMode, formats full coordinates instead, see _formatFull
+    _formatEastOrNorth(n, spacing) {
+
+        if (this.options.labelMode !== "square") {
+            return this._formatFull(n, spacing);
+        }
+
+        var r;
+        var h = Math.floor(n / 100000);
+        n = n % 100000; // metres within 100km square
+
+        var digits = 5 - Math.floor((Math.log(spacing) / Math.LN10) + 1e-9);
+        digits = Math.max(1, Math.min(5, digits));
+        r = this._padDigits(Math.floor(n / Math.pow(10, 5 - digits)), digits);
+        
+        // prepend hundreds of km in subscript
+        if (this.options.showAxis100km) {
+            var hs = h.toString();
+            var i;
+            for(i = (hs.length-1); i >= 0; i--) {
+                r = String.fromCharCode(hs.charCodeAt(i) + 8272) + r; 
+            }
+        }
+
+        return r;
+    },
+
+
+    // Formats a full easting or northing in metres, or in km with the decimals the grid spacing needs,
+    // with digits grouped in threes by labelSeparator and followed by labelUnits
+    _formatFull: function (n, spacing) {
+
+        var km = this.options.labelMode === "km";
+        var places = km ? Math.max(0, 3 - Math.floor((Math.log(spacing) / Math.LN10) + 1e-9)) : 0;
+        var r = Math.abs(km ? n / 1000 : n).toFixed(places).split(".");
+        var whole = r[0];
+        var grouped = "";
+
+        while (whole.length > 3) {
+            grouped = this.options.labelSeparator + whole.slice(-3) + grouped;
+            whole = whole.slice(0, -3);
+        }
+        grouped = whole + grouped;
+
+        return ((n < 0) ? "-" : "") + grouped + ((r.length > 1) ? "." + r[1] : "") + this.options.labelUnits;
+    },
+
+
+    // Formats eastings value for grid line labels
+    // This shows distance within each 100 km grid square - most grid stytems work like this
+    _format_eastings: function(eastings, spacing) {
+        return this._formatEastOrNorth(eastings, spacing);
+    },
+
+
+    // Formats northings value for grid line labels
+    // This shows distance within each 100 km grid square - most grid stytems work like this
+    _format_northings: function(northings, spacing) {
+           return this._formatEastOrNorth(northings, spacing);
+    },
+
+
+    // Calculates map scale at the center of map in metres per pixel
+    // On a Web Mercator map, scale changes with latitude (y axis)
+    // On other map CRSs, a pixel need not be square on the ground, e.g. EPSG:4326,
+    // so this is the geometric mean of its width and height
+    // Zoom defaults to the map zoom
+    _mPerPx: function(zoom)
+    {
+        // get map resolution by moving 1 pixel at the center, across and down
+        var ll1 = this._map.getCenter();
+        var p1 = this._map.project(ll1, zoom);
+        var llx = this._map.unproject(p1.add(new L.Point(1,0)), zoom);
+        var lly = this._map.unproject(p1.add(new L.Point(0,1)), zoom);
+        return Math.sqrt(ll1.distanceTo(llx) * ll1.distanceTo(lly));
+    },
+
+
+    // Determines graticule interval according to map scale
+    // By default the grid is a power of 10 and as map zooms are powers of two
+    // some zooms will have small grid squares and some large.
+    // The intervals option allows 2x and 5x spacings, either as a ladder of spacings
+    // chosen by on screen square size (intervalPixels), or as spacings by zoom.
+    // Zoom defaults to the map zoom
+    _calcInterval: function(zoom) {
+
+        var mPerPx = this._mPerPx(zoom);
+        var intervals = this.options.intervals;
+        var spacing;
+        var i;
+
+        if (L.Util.isArray(intervals)) {
+            // the smallest spacing whose squares are at least intervalPixels across
+            intervals = intervals.slice().sort(function (a, b) {
+                return a - b;
+            });
+            spacing = intervals[intervals.length - 1];
+            for (i = 0; i < intervals.length; i++) {
+                if (intervals[i] / mPerPx >= this.options.intervalPixels) {
+                    spacing = intervals[i];
+                    break;
+                }
+            }
+        }
+        else if (intervals) {
+            // the spacing for the highest zoom key at or below the map zoom, else the lowest key
+            zoom = (zoom === undefined) ? this._map.getZoom() : zoom;
+            var z;
+            var best = null;
+            var lowest = null;
+            for (z in intervals) {
+                if (intervals.hasOwnProperty(z)) {
+                    if ((lowest === null) || (+z < lowest)) {
+                        lowest = +z;
+                    }
+                    if ((+z <= zoom) && ((best === null) || (+z > best))) {
+                        best = +z;
+                    }
+                }
+            }
+            spacing = intervals[(best === null) ? lowest : best];
+        }
+        // select the grid interval according to the map resolution
+        else if (mPerPx <= 1) {
+            spacing = 100;
+        } else if (mPerPx <= 20) {
+            spacing = 1000;
+        } else if (mPerPx <= 175) {
+            spacing = 10000;
+        } else {
+            spacing = 100000;
+        }
+
+        if (this.options.density)
+            spacing = spacing / this.options.density;
+         
+        //limit to min/max interval
+        if (spacing < this.options.minInterval) {
+            spacing = this.options.minInterval;
+        }
+        if (spacing > this.options.maxInterval) {
+            spacing = this.options.maxInterval;
+        }
+
+        return spacing;
+    },
+
+    // Finds the set of screen points corresponding to a grid line.
+    // Most metric grid lines are nearly straight on a Web Mercator map, or other map CRS, especially when zoomed in.
+    // We use the minimum number of line segments that represent the actual grid line,
+    // by chopping the grid line into a set of straight line segments that fit the grid line curve with less
+    // than 1 screen pixel of error.
+    // This approach can be used to draw e.g. a great circle on a Web Mercator map.
+    // However if the WM curve of your line has a point of inflexion then you will need to
+    // proceed in two parts about the inflexion.
+    // There is an inflexion when a Great Circle crosses the equator on a WM map.
+    //
+    // The interpolate function should return the Lat/Lon of point a for a fraction of 0.0
+    // and the Lat/Lon of point b for a fraction of 1.0.
+    // Points are map container points, or if map is a function, whatever it returns for a L.LatLng.
+    //
+    // This code is adapted from OpenLayers 3
+    //
+    _getPoints: function (interpolate, tolerance, map) {
+
+        var toPoint = (typeof map === "function") ? map : function (ll) {
+            return map.latLngToContainerPoint(ll);
+        };
+
+        var geoA = interpolate(0);
+        var geoB = interpolate(1);
+
+        var a = toPoint(L.latLng(geoA[1], geoA[0]));
+        var b = toPoint(L.latLng(geoB[1], geoB[0]));
+
+        var coords = [];
+        var geoStack = [geoB, geoA];
+        var stack = [b, a];
+        var fractionStack = [1, 0];
+        var fractions = {};
+        var maxIterations = 1000;
+        var geoM;
+        var m;
+        var fracA;
+        var fracB;
+        var fracM;
+        var key;
+
+        while (--maxIterations > 0 && fractionStack.length > 0) {
+            // Pop the a coordinate off the stack
+            fracA = fractionStack.pop();
+            geoA = geoStack.pop();
+            a = stack.pop();
+
+            // Add the a coordinate if it has not been added yet
+            key = fracA.toString();
+            if (!fractions[key]) {
+              coords.push(a);
+              fractions[key] = true;
+            }
+
+            // Pop the b coordinate off the stack
+            fracB = fractionStack.pop();
+            geoB = geoStack.pop();
+            b = stack.pop();
+
+            // Find the m point between the a and b coordinates
+            fracM = (fracA + fracB) / 2;
+            geoM = interpolate(fracM);
+            m = toPoint(L.latLng(geoM[1], geoM[0]));
+
+            if (L.LineUtil.pointToSegmentDistance(m, a, b) < tolerance){
+              // If the m point is sufficiently close to the straight line, then we
+              // discard it.  Just use the b coordinate and move on to the next line
+              // segment.
+              coords.push(b);
+              key = fracB.toString();
+              fractions[key] = true;
+            }
+            else {
+              // Otherwise, we need to subdivide the current line segment.  Split it
+              // into two and push the two line segments onto the stack.
+              fractionStack.push(fracB, fracM, fracM, fracA);
+              stack.push(b, m, m, a);
+              geoStack.push(geoB, geoM, geoM, geoA);
+            }
+        }
+        return coords;
+    },
+
+
+    // Determine if a point lies inside a polygon, by the even-odd rule
+    // This is used to check if a point lies outside the clipping region.
+    // vs is a ring of 2d points [[x,y],,,] or {x, y} drawing points, or an array of rings
+    // for polygons with holes or several polygons.
+    _inside: function (point, vs) {
+    // ray-casting algorithm based on
+    // http://www.ecse.rpi.edu/Homepages/wrf/Research/Short_Notes/pnpoly.html
+
+        var x = point[0];
+        var y = point[1];
+        var rings = (L.Util.isArray(vs[0]) && (typeof vs[0][0] !== "number")) ? vs : [vs];
+        var inside = false;
+        var i;
+        var j;
+        var k;
+
+        for (k = 0; k < rings.length; k++) {
+            var ring = rings[k];
+            for (i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                var xi = this._px(ring[i]), yi = this._py(ring[i]);
+                var xj = this._px(ring[j]), yj = this._py(ring[j]);
+
+                var intersect = ((yi > y) != (yj > y))
+                    && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+                if (intersect) inside = !inside;
+            }
+        }
+
+        return inside;
+    },
+
+
+    // x and y of an [x, y] or {x, y} point
+    _px: function (p) {
+        return (p.x !== undefined) ? p.x : p[0];
+    },
+
+
+    _py: function (p) {
+        return (p.y !== undefined) ? p.y : p[1];
+    },
+
+
+    // The clip as polygons in grid coordinates, each an array of closed rings, the outer ring then any holes.
+    // From options.latLonClip converted from [lon, lat], or else options.clip. Null when there is neither.
+    // Worked out again only if the clip or the projection changes.
+    _clipPolygons: function () {
+
+        var clip = this.options.latLonClip || this.options.clip;
+
+        if ((this._clipFor !== clip) || (this._clipProjDef !== this.options.proj4ProjDef)) {
+            this._clipFor = clip;
+            this._clipProjDef = this.options.proj4ProjDef;
+            this._clipId = (this._clipId || 0) + 1; // keys the clip's line points, see _drawJob
+            this._clipPolys = null;
+            this._clipRingList = null;
+
+            if (clip) {
+                var polys = this._polygons(clip);
+                var i;
+                var j;
+                if (this.options.latLonClip) {
+                    for (i = 0; i < polys.length; i++) {
+                        for (j = 0; j < polys[i].length; j++) {
+                            polys[i][j] = this._latLonRingToGrid(polys[i][j]);
+                        }
+                    }
+                }
+                this._clipPolys = polys;
+                this._clipRingList = [].concat.apply([], polys);
+            }
+        }
+        return this._clipPolys;
+    },
+
+
+    // The rings of all the clip polygons, for even-odd tests and filling, or null when there is no clip
+    _clipRings: function () {
+        this._clipPolygons();
+        return this._clipRingList;
+    },
+
+
+    // Polygons, each an array of closed rings, from a clip given as a ring of points
+    // or a GeoJSON Polygon or MultiPolygon geometry, Feature or FeatureCollection
+    _polygons: function (clip) {
+
+        var polys = [];
+        var i;
+
+        if (L.Util.isArray(clip)) {
+            polys.push([clip]);
+        }
+        else if (clip.type === "FeatureCollection") {
+            for (i = 0; i < clip.features.length; i++) {
+                polys = polys.concat(this._polygons(clip.features[i]));
+            }
+            return polys;
+        }
+        else if (clip.type === "Feature") {
+            return this._polygons(clip.geometry);
+        }
+        else if (clip.type === "Polygon") {
+            polys.push(clip.coordinates);
+        }
+        else if (clip.type === "MultiPolygon") {
+            polys = clip.coordinates.slice();
+        }
+        else {
+            throw new Error("Clip must be a ring of points or a GeoJSON Polygon or MultiPolygon, not " + clip.type);
+        }
+
+        // closed copies of the rings
+        return polys.map(function (rings) {
+            return rings.map(function (ring) {
+                var first = ring[0];
+                var last = ring[ring.length - 1];
+                return ((first[0] === last[0]) && (first[1] === last[1])) ? ring.slice() : ring.concat([first]);
+            });
+        });
+    },
+
+
+    // A ring of [lon, lat] points in grid coordinates. Edges longer than 0.1 degree are split,
+    // so they keep to their straight line in lat/lon, e.g. along parallels and meridians.
+    _latLonRingToGrid: function (ring) {
+
+        var proj = this._proj();
+        var r = [proj.forward(ring[0])];
+        var i;
+        var j;
+        var n;
+
+        for (i = 1; i < ring.length; i++) {
+            var a = ring[i - 1];
+            var b = ring[i];
+            n = Math.ceil(Math.max(Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1])) / 0.1);
+            for (j = 1; j <= n; j++) {
+                r.push(proj.forward([a[0] + ((b[0] - a[0]) * j / n), a[1] + ((b[1] - a[1]) * j / n)]));
+            }
+        }
+        return r;
+    },
+
+
+    // The area the grid draws as closed rings of [lon, lat] points, filled even-odd: its bounds cut by its clip,
+    // or its latLonClipBounds. Edges are split into steps of a tenth of maxInterval, so they keep their shape
+    // in other projections.
+    _latLonArea: function () {
+
+        var b = this.options.bounds;
+        var r = [b[0][0], b[0][1], b[1][0], b[1][1]];
+        var polys = this._clipPolygons();
+        var proj = this._proj();
+        var step = this.options.maxInterval / 10;
+        var rings = [];
+        var ring;
+        var ll;
+        var i;
+        var j;
+        var k;
+        var m;
+        var n;
+
+        if (!polys && this.options.latLonClipBounds) {
+            var llb = L.latLngBounds(this.options.latLonClipBounds);
+            return [[[llb.getWest(), llb.getSouth()], [llb.getEast(), llb.getSouth()], [llb.getEast(), llb.getNorth()],
+                     [llb.getWest(), llb.getNorth()], [llb.getWest(), llb.getSouth()]]];
+        }
+
+        polys = polys || [[[[r[0], r[1]], [r[2], r[1]], [r[2], r[3]], [r[0], r[3]]]]];
+        for (i = 0; i < polys.length; i++) {
+            for (j = 0; j < polys[i].length; j++) {
+                ring = this._clipPolygonToRect(polys[i][j], r);
+                if (ring.length < 3) {
+                    continue;
+                }
+                ring.push(ring[0]);
+                ll = [proj.inverse(ring[0])];
+                for (k = 1; k < ring.length; k++) {
+                    var p = ring[k - 1];
+                    var q = ring[k];
+                    n = Math.max(1, Math.ceil(Math.max(Math.abs(q[0] - p[0]), Math.abs(q[1] - p[1])) / step));
+                    for (m = 1; m <= n; m++) {
+                        ll.push(proj.inverse([p[0] + ((q[0] - p[0]) * m / n), p[1] + ((q[1] - p[1]) * m / n)]));
+                    }
+                }
+                rings.push(ll);
+            }
+        }
+        return rings;
+    },
+
+
+    // Rings in grid coordinates, filled even-odd, of any part of the grid bounds that the grid leaves
+    // to other grids in a L.MetricGridGroup, see L.UtmGrid
+    _outsideArea: function () {
+        return null;
+    },
+
+
+    // Sets the areas the grid leaves to other grids, each an array of rings in grid coordinates filled even-odd.
+    // Used by L.MetricGridGroup for the grids of higher priority.
+    _setExclusions: function (areas) {
+
+        var i;
+        var j;
+        var k;
+        var box;
+
+        this._exclusionsId = (this._exclusionsId || 0) + 1;
+        this._exclusions = [];
+
+        for (i = 0; i < areas.length; i++) {
+            box = [Infinity, Infinity, -Infinity, -Infinity];
+            for (j = 0; j < areas[i].length; j++) {
+                for (k = 0; k < areas[i][j].length; k++) {
+                    var p = areas[i][j][k];
+                    box = [Math.min(box[0], p[0]), Math.min(box[1], p[1]), Math.max(box[2], p[0]), Math.max(box[3], p[1])];
+                }
+            }
+            this._exclusions.push({key: "x" + this._exclusionsId + ":" + i + ":", rings: areas[i], box: box});
+        }
+
+        if (this._map) {
+            this._scheduleReset();
+        }
+    },
+
+
+    // True if point p is in any of the areas left to other grids, each an array of rings in grid coordinates
+    // or drawing points. areas may be null.
+    _excluded: function (p, areas) {
+
+        var i;
+        for (i = 0; areas && (i < areas.length); i++) {
+            if (this._inside(p, areas[i])) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+
+    // The areas left to other grids as arrays of rings in grid coordinates, or null if none
+    _exclusionRings: function () {
+        if (!this._exclusions || !this._exclusions.length) {
+            return null;
+        }
+        return this._exclusions.map(function (area) {
+            return area.rings;
+        });
+    },
+
+
+    // Grid coordinate extent [west, south, east, north] enclosing a Lat/Lon bounds, rounded outwards to the spacing.
+    // mapB may instead be an array of L.LatLngs around the edge of a view, see _mapView.
+    _gridExtent: function (mapB, spacing) {
+
+        var proj = this._proj();
+
+        if (L.Util.isArray(mapB)) {
+            var g = proj.forward([mapB[0].lng, mapB[0].lat]);
+            var ext = [g[0], g[1], g[0], g[1]];
+            var i;
+            for (i = 1; i < mapB.length; i++) {
+                g = proj.forward([mapB[i].lng, mapB[i].lat]);
+                ext = [Math.min(ext[0], g[0]), Math.min(ext[1], g[1]), Math.max(ext[2], g[0]), Math.max(ext[3], g[1])];
+            }
+            return [
+                Math.floor(ext[0] / spacing) * spacing,
+                Math.floor(ext[1] / spacing) * spacing,
+                Math.ceil(ext[2] / spacing) * spacing,
+                Math.ceil(ext[3] / spacing) * spacing
+            ];
+        }
+
+        // get bounds of map corners in grid projection
+        var mapSW = mapB.getSouthWest();
+        var mapNE = mapB.getNorthEast();
+        var mapNW = mapB.getNorthWest();
+        var mapSE = mapB.getSouthEast();
+        var mapSWg = proj.forward([mapSW.lng, mapSW.lat]);
+        var mapNEg = proj.forward([mapNE.lng, mapNE.lat]);
+        var mapNWg = proj.forward([mapNW.lng, mapNW.lat]);
+        var mapSEg = proj.forward([mapSE.lng, mapSE.lat]);
+        
+        //also the middles of the sides of the map            
+        var mapSMg = proj.forward([mapB.getCenter().lng, mapB.getSouth()]);
+        var mapNMg = proj.forward([mapB.getCenter().lng, mapB.getNorth()]);
+        var mapWMg = proj.forward([mapB.getWest(), mapB.getCenter().lat]);
+        var mapEMg = proj.forward([mapB.getEast(), mapB.getCenter().lat,]);
+
+        // extend grid bounds to enclose the map corners           
+        var grdWx = Math.min(mapSWg[0], mapNWg[0]);
+        var grdEx = Math.max(mapSEg[0], mapNEg[0]);
+        var grdSy = Math.min(mapSWg[1], mapSEg[1]);
+        var grdNy = Math.max(mapNWg[1], mapNEg[1]);
+
+        // extend grid bounds to enclose the middles of the sides
+        grdWx = Math.min(mapWMg[0], grdWx);
+        grdEx = Math.max(mapEMg[0], grdEx);
+        grdSy = Math.min(mapSMg[1], grdSy);
+        grdNy = Math.max(mapNMg[1], grdNy);
+        
+        // round up/down based on the spacing
+        grdWx = Math.floor(grdWx / spacing) * spacing;
+        grdSy = Math.floor(grdSy / spacing) * spacing;
+        grdEx = Math.ceil(grdEx / spacing) * spacing;
+        grdNy = Math.ceil(grdNy / spacing) * spacing;
+
+        return [grdWx, grdSy, grdEx, grdNy];
+    },
+
+
+    // Limits a grid extent to the grid bounds, rounded outwards to the spacing.
+    // Null if the extent is entirely outside the grid bounds.
+    _limitExtent: function (ext, spacing) {
+
+        var grdWx = ext[0];
+        var grdSy = ext[1];
+        var grdEx = ext[2];
+        var grdNy = ext[3];
+
+        if (grdWx < this.options.bounds[0][0]) {
+            grdWx = Math.floor(this.options.bounds[0][0] / spacing) * spacing;
+        }
+        if (grdWx > this.options.bounds[1][0]) {
+            return null; // left of grid > east limit
+        }
+        if (grdEx > this.options.bounds[1][0]) {
+            grdEx = Math.ceil(this.options.bounds[1][0] / spacing) * spacing;
+        }
+        if (grdEx < this.options.bounds[0][0]) {
+            return null; // right of grid < west limit
+        }
+        if (grdSy < this.options.bounds[0][1]) {
+            grdSy = Math.floor(this.options.bounds[0][1] / spacing) * spacing;
+        }
+        if (grdSy > this.options.bounds[1][1]) {
+            return null; // south of grid > north limit
+        }
+        if (grdNy > this.options.bounds[1][1]) {
+            grdNy = Math.ceil(this.options.bounds[1][1] / spacing) * spacing;
+        }
+        if (grdNy < this.options.bounds[0][1]) {
+            return null; // north of grid < south limit
+        }
+
+        return [grdWx, grdSy, grdEx, grdNy];
+    },
+
+
+    // The view drawn by _draw, by default the map view in container points.
+    // A view has zoom, bounds (L.LatLngBounds to cover), size, toPoint (L.LatLng to drawing point),
+    // offset (drawing point of the canvas top left), pixelRatio, axisLabels (false to omit them)
+    // and optionally interval, outline (L.LatLngs around the edge of the view, for map CRSs whose parallels and meridians
+    // are not along the view edges) and straight (true if the map CRS is the grid projection, see _projectsAsGrid).
+    // Views that can be panned also have project (L.LatLng to a pixel point at the zoom) and origin
+    // (the pixel point of drawing point 0, 0) so line points can be reused while panning, see _linePoints.
+    _mapView: function () {
+        var map = this._map;
+        var zoom = map.getZoom();
+        return {
+            zoom: zoom,
+            bounds: map.getBounds(),
+            size: map.getSize(),
+            toPoint: function (ll) {
+                return map.latLngToContainerPoint(ll);
+            },
+            project: function (ll) {
+                return map.project(ll, zoom)._round();
+            },
+            origin: map.getPixelBounds().min,
+            outline: this._outline(function (x, y) {
+                return map.containerPointToLatLng([x, y]);
+            }, map.getSize()),
+            straight: this._projectsAsGrid(map.options.crs),
+            offset: L.point(0, 0),
+            pixelRatio: this._svgContext ? 1 : (window.devicePixelRatio || 1),
+            axisLabels: true
+        };
+    },
+
+
+    // L.LatLngs around the edge of a view of a size, at its corners and the middles of its sides.
+    // toLatLng gives the L.LatLng of a drawing point.
+    _outline: function (toLatLng, size) {
+        var r = [];
+        var i;
+        var xs = [0, size.x / 2, size.x, size.x, size.x, size.x / 2, 0, 0];
+        var ys = [0, 0, 0, size.y / 2, size.y, size.y, size.y, size.y / 2];
+        for (i = 0; i < xs.length; i++) {
+            r.push(toLatLng(xs[i], ys[i]));
+        }
+        return r;
+    },
+
+
+    // True if a map CRS projects Lat/Lons just as the grid projection does, e.g. a Proj4Leaflet CRS for
+    // the grid's EPSG code, so grid lines are straight on the map. Checked at the corners and middle of the grid bounds,
+    // to 10cm so definitions that only round datum parameters differently count as the same.
+    _projectsAsGrid: function (crs) {
+
+        if ((this._gridCrs !== crs) || (this._gridCrsDef !== this.options.proj4ProjDef)) {
+
+            var proj = this._proj();
+            var b = this.options.bounds;
+            var pts = [b[0], b[1], [b[0][0], b[1][1]], [b[1][0], b[0][1]], [(b[0][0] + b[1][0]) / 2, (b[0][1] + b[1][1]) / 2]];
+            var same = !!crs.projection;
+            var i;
+            var ll;
+            var p;
+
+            for (i = 0; same && (i < pts.length); i++) {
+                ll = proj.inverse(pts[i]);
+                p = crs.projection.project(L.latLng(ll[1], ll[0]));
+                same = (Math.abs(p.x - pts[i][0]) < 0.1) && (Math.abs(p.y - pts[i][1]) < 0.1);
+            }
+
+            this._gridCrs = crs;
+            this._gridCrsDef = this.options.proj4ProjDef;
+            this._gridCrsSame = same;
+        }
+        return this._gridCrsSame;
+    },
+
+
+    // Drawing points of a grid or clip line, from _getPoints.
+    // Lines are straight on views of a map in the grid projection, so only their ends are needed.
+    // For views that can be panned, points are kept in pixels at the zoom and reused by later draws
+    // at the same zoom while the line (identified by key) is still drawn.
+    _linePoints: function (key, interpolate, view) {
+
+        if (view.straight) {
+            var a = interpolate(0);
+            var b = interpolate(1);
+            return [view.toPoint(L.latLng(a[1], a[0])), view.toPoint(L.latLng(b[1], b[0]))];
+        }
+
+        if (!view.origin) {
+            return this._getPoints(interpolate, 1.0, view.toPoint);
+        }
+
+        var cache = this._lineCache;
+        var pts = cache.used[key] || cache.last[key];
+        if (!pts) {
+            pts = this._getPoints(interpolate, 1.0, view.project);
+        }
+        cache.used[key] = pts;
+
+        var r = [];
+        var i;
+        for (i = 0; i < pts.length; i++) {
+            r.push(L.point(pts[i].x - view.origin.x, pts[i].y - view.origin.y));
+        }
+        return r;
+    },
+
+
+    // Starts a draw for the line points cache, forgetting it if the zoom or grid definition has changed
+    // and forgetting lines not drawn last time
+    _rollLineCache: function (view) {
+
+        var cache = this._lineCache;
+        var key = view.zoom + ":" + this.options.proj4ProjDef;
+
+        if (!cache || (cache.key !== key)) {
+            this._lineCache = {key: key, last: {}, used: {}};
+        }
+        else {
+            cache.last = cache.used;
+            cache.used = {};
+        }
+    },
+
+
+    // What a draw of a view covers: the grid interval (spacing), the grid extent to draw (ext, null if the view
+    // is outside the grid bounds), the clip rings in grid coordinates if needed (clip), the areas left to other grids
+    // in view (exclude, with their line cache keys in excludeKeys), whether axisLabels and squareLabels are drawn
+    // and the label anchors needed, at the middles of square sides (middleAnchors) or at grid line crossings (cornerAnchors).
+    // We compute, in the current grid interval, a bounding box that contains the map view.
+    _drawJob: function (view) {
+
+        var spacing = view.interval || this._calcInterval(view.zoom);
+
+        // get bounds of the map in grid projection, rounded to the spacing
+        var ext = this._gridExtent(view.outline || view.bounds, spacing);
+
+        var clip = null;
+        var rings = this._clipRings();
+        if (rings) {
+            // if any of the corners of our grid are outside the clip path, or any point of the clip path
+            // is inside our grid, as for a hole, then we need to clip
+            // must do this before restricting to grid bounds
+
+            var swInClip = this._inside([ext[0], ext[1]], rings);
+            var seInClip = this._inside([ext[2], ext[1]], rings);
+            var neInClip = this._inside([ext[2], ext[3]], rings);
+            var nwInClip = this._inside([ext[0], ext[3]], rings);
+            var needed = (!swInClip) || (!seInClip) || (!neInClip) || (!nwInClip);
+            var i;
+            var j;
+
+            for (i = 0; !needed && (i < rings.length); i++) {
+                for (j = 0; !needed && (j < rings[i].length); j++) {
+                    var p = rings[i][j];
+                    needed = (p[0] > ext[0]) && (p[0] < ext[2]) && (p[1] > ext[1]) && (p[1] < ext[3]);
+                }
+            }
+            if (needed) {
+                clip = rings;
+            }
+        }
+
+        // areas left to grids of higher priority in a L.MetricGridGroup, that overlap our grid
+        var exclude = [];
+        var excludeKeys = [];
+        var areas = this._exclusions || [];
+        var a;
+        for (a = 0; a < areas.length; a++) {
+            var box = areas[a].box;
+            if ((box[0] < ext[2]) && (box[2] > ext[0]) && (box[1] < ext[3]) && (box[3] > ext[1])) {
+                exclude.push(areas[a].rings);
+                excludeKeys.push(areas[a].key);
+            }
+        }
+
+        var axisLabels = (this.options.showAxisLabels.indexOf(spacing) >= 0) && view.axisLabels;
+        var squareLabels = this.options.showSquareLabels.indexOf(spacing) >= 0;
+        var inside = axisLabels && (this.options.axisLabelPlacement !== "edge");
+
+        return {
+            spacing: spacing,
+            // Limit to grid bounds. We don't need to draw anything
+            // if the map is way outside the area of the grid.
+            ext: this._limitExtent(ext, spacing),
+            clip: clip,
+            clipKey: "c" + this._clipId + ":",
+            exclude: exclude.length ? exclude : null,
+            excludeKeys: excludeKeys,
+            axisLabels: axisLabels,
+            squareLabels: squareLabels,
+            middleAnchors: inside && (this.options.axisLabelPosition !== "crossing"),
+            cornerAnchors: squareLabels || (inside && (this.options.axisLabelPosition === "crossing"))
+        };
+    },
+
+
+    // The drawing geometry of a view for a job from _drawJob: the clip path, the grid lines and the points
+    // the labels are anchored to, by column of eastings and row of northings.
+    // This also runs in the grid worker, where there is no map or DOM, so it only uses the view,
+    // the options and the methods listed in L.MetricGrid.workerMethods.
+    _geometry: function (view, job) {
+
+        var proj = this._proj();
+        var geom = {
+            job: job,
+            clip: null,
+            exclude: null,          // drawing points of the areas left to other grids
+            eastingLines: [],
+            northingLines: [],
+            eastingAnchors: [],     // [column][row], middles of vertical square sides
+            northingAnchors: [],    // [row][column], middles of horizontal square sides
+            cornerAnchors: []       // [column][row], grid line crossings
+        };
+        var x;
+        var y;
+        var i;
+
+        if (view.origin) {
+            this._rollLineCache(view);
+        }
+
+        // drawing point of a grid coordinate
+        function _anchor (e, n) {
+            var ll = proj.inverse([e, n]);
+            ll = L.latLng(ll[1], ll[0]);
+            if (view.toPoint) {
+                return view.toPoint(ll);
+            }
+            var p = view.project(ll);
+            return L.point(p.x - view.origin.x, p.y - view.origin.y);
+        }
+
+        if (job.clip) {
+            geom.clip = this._clipPoints(view, job.clip, job.clipKey);
+        }
+        if (job.exclude) {
+            geom.exclude = [];
+            for (i = 0; i < job.exclude.length; i++) {
+                geom.exclude.push(this._clipPoints(view, job.exclude[i], job.excludeKeys[i]));
+            }
+        }
+        if (!job.ext) {
+            return geom;
+        }
+
+        var grdWx = job.ext[0];
+        var grdSy = job.ext[1];
+        var grdEx = job.ext[2];
+        var grdNy = job.ext[3];
+        var d = job.spacing;
+        var d2 = d / 2;
+
+        // Verticals of constant Eastings
+        var h = grdNy - grdSy;
+        for (x = grdWx; x <= grdEx; x += d) {
+
+            // interpolate northings from top to bottom
+            function _interpolateY (frac) {
+                return proj.inverse([x, grdNy - (frac * h)]);
+            }
+
+            geom.eastingLines.push(this._linePoints("e" + x + ":" + grdSy + ":" + grdNy, _interpolateY, view));
+        }
+
+        // Horizontals of constant Northings
+        var w = grdEx - grdWx;
+        for (y = grdSy; y <= grdNy; y += d) {
+
+            // interpolate eastings from right to left
+            function _interpolateX (frac) {
+                return proj.inverse([grdEx - (frac * w), y]);
+            }
+
+            geom.northingLines.push(this._linePoints("n" + y + ":" + grdWx + ":" + grdEx, _interpolateX, view));
+        }
+
+        var anchors;
+        if (job.middleAnchors) {
+            for (x = grdWx; x <= grdEx; x += d) {
+                anchors = [];
+                for (y = grdSy; y <= grdNy; y += d) {
+                    anchors.push(_anchor(x, y + d2)); // middle of vertical square edge
+                }
+                geom.eastingAnchors.push(anchors);
+            }
+            for (y = grdSy; y <= grdNy; y += d) {
+                anchors = [];
+                for (x = grdWx; x <= grdEx; x += d) {
+                    anchors.push(_anchor(x + d2, y)); // middle of horizontal square edge
+                }
+                geom.northingAnchors.push(anchors);
+            }
+        }
+
+        if (job.cornerAnchors) {
+            for (x = grdWx; x <= grdEx; x += d) {
+                anchors = [];
+                for (y = grdSy; y <= grdNy; y += d) {
+                    anchors.push(_anchor(x, y)); // bottom left corner of grid square
+                }
+                geom.cornerAnchors.push(anchors);
+            }
+        }
+
+        return geom;
+    },
+
+
+    // True if drawing point p is inside the clip drawn, given as the drawing points of the clip rings
+    // or the latLonClipBounds path, if either. Labels outside are not drawn.
+    _inClip: function (p, clip, clipPath) {
+        if (clip) {
+            return this._inside([p.x, p.y], clip);
+        }
+        if (clipPath) {
+            return this._inside([p.x, p.y], clipPath);
+        }
+        return true;
+    },
+
+
+    // Draws the axis labels on one edge of the view, "N", "E", "S" or "W".
+    // Eastings are labelled on the north and south edges and northings on the east and west.
+    // With inside placement, we label at grid crossings or in the middle of the vertical or horizontal edge
+    // of a grid square, like the OS do on their printed maps, at the first one from the edge that is in view.
+    // This means the labels never collide. With edge placement, we label where each grid line meets the edge.
+    // Labels sit inwards from their anchor points, and the grid line they label is rubbed out behind them.
+    // clipPath is the latLonClipBounds path in drawing points, if used.
+    _drawAxisLabels: function (ctx, view, geom, edge, clipPath, txtHeight) {
+
+        var job = geom.job;
+        var d = job.spacing;
+        var d2 = (this.options.axisLabelPosition === "crossing") ? 0 : d / 2;
+        var eastings = (edge === "S") || (edge === "N");
+        var lines = eastings ? geom.eastingLines : geom.northingLines;
+        var off = this.options.axisLabelOffset;
+        var ww = view.size.x;
+        var hh = view.size.y;
+        var rubWidth = this.options.weight * 3;
+        var v = eastings ? job.ext[0] : job.ext[1];
+        var limit = eastings ? this.options.bounds[1][0] : this.options.bounds[1][1];
+        var k;
+        var j;
+        var s;
+        var g;
+
+        for (k = 0; k < lines.length; k++, v += d) {
+
+            // check within grid bounds
+            if (v >= limit) {
+                continue;
+            }
+
+            s = null;
+            if (this.options.axisLabelPlacement === "edge") {
+                s = this._edgeCrossing(lines[k], edge, view.size, off);
+                if (s && (!this._inClip(s, geom.clip, clipPath) || this._excluded([s.x, s.y], geom.exclude))) {
+                    s = null;
+                }
+            }
+            else {
+                var count = eastings ? geom.northingLines.length : geom.eastingLines.length;
+
+                // scan along the line from the edge
+                for (j = 0; j < count; j++) {
+
+                    var idx = ((edge === "N") || (edge === "E")) ? count - 1 - j : j;
+                    var a;
+                    if (d2) {
+                        a = eastings ? geom.eastingAnchors[k][idx] : geom.northingAnchors[k][idx];
+                    }
+                    else {
+                        a = eastings ? geom.cornerAnchors[k][idx] : geom.cornerAnchors[idx][k];
+                    }
+
+                    // check on screen
+                    if (!((a.x > off) && (a.x < ww - off) && (a.y > off) && (a.y < hh - off))) {
+                        continue;
+                    }
+
+                    // grid coordinates of the anchor
+                    g = eastings ? [v, job.ext[1] + (idx * d) + d2] : [job.ext[0] + (idx * d) + d2, v];
+                    if (job.clip) {
+                        if (!this._inside(g, job.clip)) {
+                            continue;
+                        }
+                    }
+                    else if (clipPath) {
+                        if (!this._inside([a.x, a.y], clipPath)) {
+                            continue;
+                        }
+                    }
+                    if (this._excluded(g, job.exclude)) {
+                        continue;
+                    }
+
+                    s = a;
+                    break;
+                }
+            }
+
+            if (s) {
+                this._drawAxisLabel(ctx, this.options.formatAxisLabel.call(this, v, eastings ? "e" : "n", d), s, edge, txtHeight, rubWidth);
+            }
+        }
+    },
+
+
+    // Draws an axis label inwards of its anchor point s on the edge.
+    // With the rubout labelStyle, the grid line behind it is rubbed out.
+    _drawAxisLabel: function (ctx, str, s, edge, txtHeight, rubWidth) {
+
+        var txtWidth = this._labelWidth(this._labelSegments(ctx, str));
+
+        if (edge === "S") {
+            this._drawLabel(ctx, str, s.x - (txtWidth / 2), s.y, txtHeight,
+                [s.x - (rubWidth/2), s.y-txtHeight, rubWidth, txtHeight * 1.2]);
+        }
+        else if (edge === "N") {
+            this._drawLabel(ctx, str, s.x - (txtWidth / 2), s.y + txtHeight, txtHeight,
+                [s.x - (rubWidth/2), s.y - (txtHeight * 0.2), rubWidth, txtHeight * 1.2]);
+        }
+        else if (edge === "W") {
+            this._drawLabel(ctx, str, s.x, s.y + (txtHeight / 2), txtHeight,
+                [s.x - txtWidth * 0.1, s.y - (rubWidth/2), txtWidth * 1.2, rubWidth]);
+        }
+        else {
+            this._drawLabel(ctx, str, s.x - txtWidth, s.y + (txtHeight / 2), txtHeight,
+                [s.x - txtWidth * 1.1, s.y - (rubWidth/2), txtWidth * 1.2, rubWidth]);
+        }
+    },
+
+
+    // Draws a label in the fontColor with its baseline starting at x, y, in the labelStyle.
+    // The label is a string or an array of segments, see _labelSegments.
+    // rub is the rectangle [x, y, width, height] to rub out of the grid lines with the rubout style, if any.
+    _drawLabel: function (ctx, label, x, y, txtHeight, rub) {
+
+        var style = this.options.labelStyle;
+        var segs = this._labelSegments(ctx, label);
+        var font = ctx.font;
+        var dx;
+        var i;
+
+        if (style === "halo") {
+            ctx.save();
+            ctx.strokeStyle = this.options.haloColor;
+            ctx.lineWidth = this.options.haloWidth * 2; // half the stroke is under the letters
+            ctx.lineJoin = "round";
+            ctx.setLineDash([]);
+            for (i = 0, dx = 0; i < segs.length; dx += segs[i].width, i++) {
+                ctx.font = segs[i].font;
+                ctx.strokeText(segs[i].text, x + dx, y + segs[i].dy);
+            }
+            ctx.restore();
+        }
+        else if (style === "box") {
+            var pad = this.options.boxPadding;
+            ctx.save();
+            ctx.fillStyle = this.options.boxColor;
+            ctx.globalAlpha = this.options.boxOpacity;
+            ctx.fillRect(x - pad, y - txtHeight - pad, this._labelWidth(segs) + (2 * pad), (txtHeight * 1.2) + (2 * pad));
+            ctx.restore();
+        }
+        else if (rub) {
+            // rub out the bit of the grid line the text will be over
+            ctx.globalCompositeOperation = "destination-out";
+            ctx.fillRect(rub[0], rub[1], rub[2], rub[3]);
+            ctx.globalCompositeOperation = "source-over";
+        }
+
+        ctx.fillStyle = this.options.fontColor;
+        for (i = 0, dx = 0; i < segs.length; dx += segs[i].width, i++) {
+            ctx.font = segs[i].font;
+            ctx.fillText(segs[i].text, x + dx, y + segs[i].dy);
+        }
+        ctx.font = font;
+    },
+
+
+    // The segments of a label for drawing, as {text, font, dy (baseline shift), width}.
+    // A label is a string, or an array of strings and objects {text, sub, sup, scale} for rich labels
+    // e.g. ["5", {text: "23", sub: true}]. sub and sup shift the text to subscript or superscript at 0.6 of the font size,
+    // scale sets another size.
+    _labelSegments: function (ctx, label) {
+
+        var font = ctx.font;
+        var size = this._textHeight(ctx);
+        var parts = L.Util.isArray(label) ? label : [label];
+        var r = [];
+        var i;
+
+        for (i = 0; i < parts.length; i++) {
+
+            var part = ((typeof parts[i] === "object") && parts[i]) ? parts[i] : {text: parts[i]};
+            var scale = part.scale || ((part.sub || part.sup) ? 0.6 : 1);
+            var seg = {
+                text: String(part.text),
+                font: (scale === 1) ? font : font.replace(/(\d+(?:\.\d+)?)px/, function (m, px) {
+                    return (px * scale) + "px";
+                }),
+                dy: part.sub ? size * 0.3 : (part.sup ? -size * 0.5 : 0)
+            };
+            ctx.font = seg.font;
+            seg.width = ctx.measureText(seg.text).width;
+            r.push(seg);
+        }
+
+        ctx.font = font;
+        return r;
+    },
+
+
+    // width in pixels of label segments
+    _labelWidth: function (segs) {
+        var w = 0;
+        var i;
+        for (i = 0; i < segs.length; i++) {
+            w += segs[i].width;
+        }
+        return w;
+    },
+
+
+    // Height in pixels of the context's font, from its size
+    _textHeight: function (ctx) {
+
+        var txtHeight;
+        var _font_frags = ctx.font.split(" ");
+        var i;
+        for (i=0; i < _font_frags.length; i+=1) {
+            txtHeight = parseInt(_font_frags[i], 10);
+            if (!isNaN(txtHeight)) {
+                break;
+            }
+        }
+        return txtHeight;
+    },
+
+
+    // The drawing point where a line, an array of drawing points, crosses an edge of a view,
+    // inset by off pixels. Null if it doesn't cross the edge.
+    _edgeCrossing: function (pts, edge, size, off) {
+
+        var vertical = (edge === "W") || (edge === "E");
+        var c = (edge === "S") ? size.y - off : ((edge === "E") ? size.x - off : off);
+        var len = vertical ? size.y : size.x;
+        var i;
+
+        for (i = 1; i < pts.length; i++) {
+
+            var p1 = pts[i - 1];
+            var p2 = pts[i];
+            var a = vertical ? p1.x : p1.y;
+            var b = vertical ? p2.x : p2.y;
+
+            if ((a !== b) && ((a - c) * (b - c) <= 0)) {
+                var f = (c - a) / (b - a);
+                var p = L.point(p1.x + f * (p2.x - p1.x), p1.y + f * (p2.y - p1.y));
+                var along = vertical ? p.y : p.x;
+                if ((along >= off) && (along <= len - off)) {
+                    return p;
+                }
+            }
+        }
+        return null;
+    },
+
+
+    // Draw the grid.
+    // We work out the extent of the grid to draw and its geometry, see _drawJob and _geometry,
+    // or use geom if given, e.g. from the grid worker.
+    // Then we draw vertical and horizontal grid lines for that box.
+    // Then we optionally label the left and right axis, taking care to avoid colliding labels.
+    // Then we optionally label each grid square in its bottom left corner.
+    // Drawing is to the layer's canvas or SVG, or to ctx if given, which may be a L.MetricGrid.SvgContext.
+    // The view drawn is the map's unless a view is given, see _mapView.
+    _draw: function(ctx, view, geom) {
+
+        var map = this._map;
+        ctx = ctx || this._context();
+
+        if (ctx && map) {
+            view = view || this._mapView();
+            if (!this._zoomDrawn(view.zoom))
+                return;
+
+            geom = geom || this._geometry(view, this._drawJob(view));
+            var job = geom.job;
+            var x;
+            var y;
+            var k;
+
+            //set up canvas for drawing and writing
+            var size = view.size;
+            var pr = view.pixelRatio;
+            ctx.setTransform(pr, 0, 0, pr, -view.offset.x * pr, -view.offset.y * pr);
+            ctx.clearRect(0, 0, size.x, size.y);
+            ctx.lineWidth = this.options.weight;
+            ctx.strokeStyle = this.options.color;
+            ctx.fillStyle = this.options.fontColor;
+
+            if (this.options.font) {
+                ctx.font = this.options.font;
+            }
+            var txtHeight = this._textHeight(ctx);
+            var i;
+
+            var canvasClipPath = null;
+            if (geom.clip) {
+                this._setClip(ctx, geom.clip);
+            }
+            else if (this.options.latLonClipBounds && !this._clipPolygons()) {
+                canvasClipPath = this._setLLClipBounds(ctx, view);
+            }
+            for (i = 0; geom.exclude && (i < geom.exclude.length); i++) {
+                this._setExclusion(ctx, geom.exclude[i], view);
+            }
+
+            if (!job.ext) {
+                return;
+            }
+            var grdWx = job.ext[0];
+            var grdSy = job.ext[1];
+            var grdEx = job.ext[2];
+            var grdNy = job.ext[3];
+
+            var hh = size.y;
+
+            // now draw lines
+            var d = job.spacing;
+
+            var lines = geom.eastingLines.concat(geom.northingLines);
+            for (k = 0; k < lines.length; k++) {
+
+                var pts = lines[k];
+
+                ctx.beginPath();
+                ctx.moveTo(pts[0].x, pts[0].y);
+                for (i = 1; i < pts.length; i++) {
+                    ctx.lineTo(pts[i].x, pts[i].y);
+                }
+                ctx.stroke();
+            }
+
+            // Now the axis labels, on the edges in axisLabelEdges
+            if (job.axisLabels) {
+                var edges = this.options.axisLabelEdges.toUpperCase();
+                for (i = 0; i < edges.length; i++) {
+                    this._drawAxisLabels(ctx, view, geom, edges.charAt(i), canvasClipPath, txtHeight);
+                }
+            }
+
+            // Grid Square labels in bottom left of each square, with a 2px padding
+            var str;
+            var row = 0;
+            if (job.squareLabels) {
+                for (y = grdSy; y <= grdNy; y += d) {
+                    var col = 0;
+                    for (x = grdWx; x <= grdEx; x += d) {
+
+                        var s = geom.cornerAnchors[col++][row];
+
+                        // check on screen, within grid bounds and within the clip, by a point just inside the square
+                        var g = [x + (d / 100), y + (d / 100)];
+                        if ((s.x > 0) && (s.y < hh) && (x < this.options.bounds[1][0]) && (y < this.options.bounds[1][1]) &&
+                            (job.clip ? this._inside(g, job.clip) : this._inClip(L.point(s.x + 2, s.y - 2), null, canvasClipPath)) &&
+                            !this._excluded(g, job.exclude)) {
+                            str = this.options.formatSquareLabel.call(this, {e: x, n: y, interval: d, square: this._squareLabelId(x, y, d)});
+                            this._drawLabel(ctx, str, s.x + 2, s.y - 2, txtHeight, null);
+                        }
+                    }
+                    row++;
+                }
+            }
+        }
+    },
+
+});
+
+// instance factory
+L.metricGrid = function (options) {
+    return new L.MetricGrid(options);
+};
+
+// Copies text to the clipboard, falling back to a hidden textarea where the Clipboard API is unavailable or refuses
+L.MetricGrid.copyText = function (text) {
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).catch(function () {
+            L.MetricGrid._copyTextArea(text);
+        });
+        return;
+    }
+
+    L.MetricGrid._copyTextArea(text);
+};
+
+
+// Copies text through a hidden textarea and execCommand
+L.MetricGrid._copyTextArea = function (text) {
+
+    var ta = L.DomUtil.create("textarea", "", document.body);
+    ta.value = text;
+    ta.style.position = "fixed";
+    ta.style.opacity = 0;
+    ta.select();
+    try {
+        document.execCommand("copy");
+    }
+    finally {
+        L.DomUtil.remove(ta);
+    }
+};
+
+// URL of proj4.js for the grid worker to load. When null, the src of the page's proj4 script is used.
+L.MetricGrid.proj4Url = null;
+
+// The L.MetricGrid methods copied into the grid worker, _geometry and those it calls
+L.MetricGrid.workerMethods = ["_proj", "_rollLineCache", "_linePoints", "_getPoints", "_clipPoints", "_geometry"];
+
+// grids waiting on the worker, by L.stamp id
+L.MetricGrid._workerGrids = {};
+
+// Returns the Web Worker shared by grids with the worker option, created on first use.
+// Null where workers are unavailable, proj4.js can't be found or the worker has failed.
+L.MetricGrid.getWorker = function () {
+
+    if (L.MetricGrid._worker !== undefined) {
+        return L.MetricGrid._worker;
+    }
+    L.MetricGrid._worker = null;
+
+    var url = L.MetricGrid.proj4Url;
+    var scripts = document.getElementsByTagName("script");
+    var i;
+    for (i = 0; !url && (i < scripts.length); i++) {
+        if (/proj4[^\/]*\.js/.test(scripts[i].src)) {
+            url = scripts[i].src;
+        }
+    }
+    if (!url || !window.Worker || !window.Blob || !window.URL) {
+        return null;
+    }
+
+    // importScripts in a blob worker needs an absolute URL
+    var a = document.createElement("a");
+    a.href = url;
+
+    var source = "importScripts(" + JSON.stringify(a.href) + ");\n" +
+        "(" + L.MetricGrid._workerMain.toString() + ")(self, {\n" +
+        L.MetricGrid.workerMethods.map(function (name) {
+            return name + ": " + L.MetricGrid.prototype[name].toString();
+        }).join(",\n") +
+        "\n});\n";
+
+    var worker;
+    try {
+        worker = new Worker(URL.createObjectURL(new Blob([source], {type: "application/javascript"})));
+    }
+    catch (e) {
+        return null;
+    }
+
+    worker.onmessage = function (e) {
+        var grid = L.MetricGrid._workerGrids[e.data.grid];
+        if (grid) {
+            grid._onWorkerGeometry(e.data);
+        }
+    };
+
+    // draw on the main thread from now on
+    worker.onerror = function () {
+        worker.terminate();
+        L.MetricGrid._worker = null;
+        var grids = L.MetricGrid._workerGrids;
+        L.MetricGrid._workerGrids = {};
+        for (var id in grids) {
+            if (grids[id]._map) {
+                grids[id]._reset();
+            }
+        }
+    };
+
+    L.MetricGrid._worker = worker;
+    return worker;
+};
+
+// The grid worker, run from its source text so it can't use anything outside it.
+// proto has the methods in L.MetricGrid.workerMethods, which are given a small stand in for the parts of Leaflet they use.
+// Jobs queued for a grid while the worker is busy are dropped for the latest one.
+L.MetricGrid._workerMain = function (self, proto) {
+
+    var grids = {};
+    var queued = {};
+    var scheduled = false;
+
+    self.L = {
+        latLng: function (lat, lng) {
+            return {lat: lat, lng: lng};
+        },
+        point: function (x, y) {
+            return {x: x, y: y};
+        },
+        LineUtil: {
+            // as L.LineUtil.pointToSegmentDistance
+            pointToSegmentDistance: function (p, p1, p2) {
+                var x = p1.x;
+                var y = p1.y;
+                var dx = p2.x - x;
+                var dy = p2.y - y;
+                var dot = dx * dx + dy * dy;
+                var t;
+
+                if (dot > 0) {
+                    t = ((p.x - x) * dx + (p.y - y) * dy) / dot;
+                    if (t > 1) {
+                        x = p2.x;
+                        y = p2.y;
+                    }
+                    else if (t > 0) {
+                        x += dx * t;
+                        y += dy * t;
+                    }
+                }
+                dx = p.x - x;
+                dy = p.y - y;
+                return Math.sqrt(dx * dx + dy * dy);
+            }
+        }
+    };
+
+    // the pixel point of a L.LatLng at a scale, as map.project with L.CRS.EPSG3857, rounded as Leaflet does
+    function project (ll, scale) {
+        var R = 6378137;
+        var d = Math.PI / 180;
+        var max = 85.0511287798;
+        var lat = Math.max(Math.min(max, ll.lat), -max);
+        var sin = Math.sin(lat * d);
+        var a = 0.5 / (Math.PI * R);
+        return {
+            x: Math.round(scale * (a * (R * ll.lng * d) + 0.5)),
+            y: Math.round(scale * (-a * (R * Math.log((1 + sin) / (1 - sin)) / 2) + 0.5))
+        };
+    }
+
+    function run () {
+        var jobs = queued;
+        var id;
+        queued = {};
+        scheduled = false;
+
+        for (id in jobs) {
+            var msg = jobs[id];
+            var grid = grids[id] || (grids[id] = Object.create(proto));
+            var view = msg.view;
+
+            view.project = function (ll) {
+                return project(ll, view.scale);
+            };
+            grid.options = msg.options;
+
+            self.postMessage({grid: msg.grid, id: msg.id, geom: grid._geometry(view, msg.job)});
+        }
+    }
+
+    self.onmessage = function (e) {
+        var replaced = queued[e.data.grid];
+        if (replaced) {
+            self.postMessage({grid: replaced.grid, id: replaced.id, dropped: true});
+        }
+        queued[e.data.grid] = e.data;
+        if (!scheduled) {
+            scheduled = true;
+            setTimeout(run, 0);
+        }
+    };
+};
+
+/** Drawing context that writes SVG elements.
+* Implements the part of the canvas 2D context API used to draw grids, so a grid can be drawn as SVG.
+* Rub-out (fillRect with destination-out) becomes a mask on the lines drawn so far.
+*/
+L.MetricGrid.SvgContext = L.Class.extend({
+
+    // Pseudo class constructor, svg is the root element to draw into
+    initialize: function (svg) {
+
+        this._svg = svg;
+        this._idPrefix = "metricgrid" + L.stamp(this) + "-";
+        this._stack = [];
+        this.lineWidth = 1;
+        this.strokeStyle = "#000";
+        this.fillStyle = "#000";
+        this.font = "10px sans-serif";
+        this.textAlign = "start";
+        this.globalCompositeOperation = "source-over";
+        this.globalAlpha = 1;
+        this.lineJoin = "miter";
+        this._dash = [];
+        this.setSize(0, 0);
+    },
+
+
+    // size of the drawing in CSS pixels, also clears it
+    setSize: function (width, height) {
+        this._width = width;
+        this._height = height;
+        this._svg.setAttribute("width", width);
+        this._svg.setAttribute("height", height);
+        this.clearRect();
+    },
+
+
+    // Clears the whole drawing, whatever the rectangle
+    clearRect: function () {
+
+        while (this._svg.firstChild) {
+            this._svg.removeChild(this._svg.firstChild);
+        }
+        this._defs = this._create("defs", this._svg);
+        this._group = this._svg;
+        this._mask = null;
+        this._lines = [];
+        this._ids = 0;
+        this._d = "";
+    },
+
+
+    // scaling is for canvas device pixels only
+    setTransform: function () {
+    },
+
+
+    setLineDash: function (dash) {
+        this._dash = dash;
+    },
+
+
+    save: function () {
+        this._stack.push({
+            lineWidth: this.lineWidth,
+            strokeStyle: this.strokeStyle,
+            fillStyle: this.fillStyle,
+            font: this.font,
+            textAlign: this.textAlign,
+            globalCompositeOperation: this.globalCompositeOperation,
+            globalAlpha: this.globalAlpha,
+            lineJoin: this.lineJoin,
+            _dash: this._dash,
+            _group: this._group
+        });
+    },
+
+
+    restore: function () {
+        L.extend(this, this._stack.pop());
+    },
+
+
+    beginPath: function () {
+        this._d = "";
+    },
+
+
+    moveTo: function (x, y) {
+        this._d += "M" + this._num(x) + " " + this._num(y);
+    },
+
+
+    lineTo: function (x, y) {
+        this._d += "L" + this._num(x) + " " + this._num(y);
+    },
+
+
+    closePath: function () {
+        this._d += "Z";
+    },
+
+
+    rect: function (x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    },
+
+
+    stroke: function () {
+        var path = this._create("path", this._group);
+        path.setAttribute("d", this._d);
+        path.setAttribute("fill", "none");
+        path.setAttribute("stroke", this.strokeStyle);
+        path.setAttribute("stroke-width", this.lineWidth);
+        if (this._dash.length) {
+            path.setAttribute("stroke-dasharray", this._dash.join(" "));
+        }
+        this._lines.push(path);
+    },
+
+
+    fill: function () {
+        var path = this._create("path", this._group);
+        path.setAttribute("d", this._d);
+        path.setAttribute("fill", this.fillStyle);
+    },
+
+
+    // later drawing is clipped by the current path, within any earlier clip. fillRule may be "evenodd"
+    clip: function (fillRule) {
+
+        var id = this._idPrefix + (this._ids++);
+        var clipPath = this._create("clipPath", this._defs);
+        clipPath.setAttribute("id", id);
+        var path = this._create("path", clipPath);
+        path.setAttribute("d", this._d);
+        if (fillRule === "evenodd") {
+            path.setAttribute("clip-rule", "evenodd");
+        }
+
+        this._group = this._create("g", this._group);
+        this._group.setAttribute("clip-path", "url(#" + id + ")");
+    },
+
+
+    fillRect: function (x, y, w, h) {
+
+        if (this.globalCompositeOperation == "destination-out") {
+
+            // rub out, mask the lines drawn so far
+            if (!this._mask) {
+                this._maskId = this._idPrefix + (this._ids++);
+                this._mask = this._create("mask", this._defs);
+                this._mask.setAttribute("id", this._maskId);
+                this._mask.setAttribute("maskUnits", "userSpaceOnUse");
+                this._rect(this._mask, 0, 0, this._width, this._height, "#fff");
+            }
+            this._rect(this._mask, x, y, w, h, "#000");
+
+            var i;
+            for (i = 0; i < this._lines.length; i++) {
+                this._lines[i].setAttribute("mask", "url(#" + this._maskId + ")");
+            }
+            return;
+        }
+
+        var rect = this._rect(this._group, x, y, w, h, this.fillStyle);
+        if (this.globalAlpha < 1) {
+            rect.setAttribute("fill-opacity", this.globalAlpha);
+        }
+    },
+
+
+    fillText: function (text, x, y) {
+        this._text(text, x, y).setAttribute("fill", this.fillStyle);
+    },
+
+
+    // outlined text, for label halos
+    strokeText: function (text, x, y) {
+        var el = this._text(text, x, y);
+        el.setAttribute("fill", "none");
+        el.setAttribute("stroke", this.strokeStyle);
+        el.setAttribute("stroke-width", this.lineWidth);
+        el.setAttribute("stroke-linejoin", this.lineJoin);
+    },
+
+
+    _text: function (text, x, y) {
+
+        var el = this._create("text", this._group);
+        var anchors = {center: "middle", right: "end", end: "end"};
+        var font = this._parseFont(this.font);
+
+        el.setAttribute("x", this._num(x));
+        el.setAttribute("y", this._num(y));
+        el.setAttribute("font-style", font.style);
+        el.setAttribute("font-weight", font.weight);
+        el.setAttribute("font-size", font.size);
+        el.setAttribute("font-family", font.family);
+        if (anchors[this.textAlign]) {
+            el.setAttribute("text-anchor", anchors[this.textAlign]);
+        }
+        el.appendChild(document.createTextNode(text));
+        return el;
+    },
+
+
+    // text metrics from an offscreen canvas
+    measureText: function (text) {
+        if (!L.MetricGrid.SvgContext._measureCtx) {
+            L.MetricGrid.SvgContext._measureCtx = document.createElement("canvas").getContext("2d");
+        }
+        var ctx = L.MetricGrid.SvgContext._measureCtx;
+        ctx.font = this.font;
+        return ctx.measureText(text);
+    },
+
+
+    // split a CSS font shorthand e.g. "bold 16px Verdana" into SVG font attributes
+    _parseFont: function (font) {
+
+        var r = {style: "normal", weight: "normal", size: "10px", family: "sans-serif"};
+        var m = font.match(/^(.*?)\s*(\d+(?:\.\d+)?(?:px|pt|em|%))(?:\/\S+)?\s+(.+)$/);
+        if (m) {
+            var words = m[1].split(/\s+/);
+            var i;
+            for (i = 0; i < words.length; i++) {
+                if ((words[i] == "italic") || (words[i] == "oblique")) {
+                    r.style = words[i];
+                }
+                else if (/^(bold|bolder|lighter|\d00)$/.test(words[i])) {
+                    r.weight = words[i];
+                }
+            }
+            r.size = m[2];
+            r.family = m[3];
+        }
+        return r;
+    },
+
+
+    _rect: function (parent, x, y, w, h, fill) {
+        var rect = this._create("rect", parent);
+        rect.setAttribute("x", this._num(x));
+        rect.setAttribute("y", this._num(y));
+        rect.setAttribute("width", this._num(w));
+        rect.setAttribute("height", this._num(h));
+        rect.setAttribute("fill", fill);
+        return rect;
+    },
+
+
+    _create: function (name, parent) {
+        return parent.appendChild(document.createElementNS(L.MetricGrid.SvgContext.NS, name));
+    },
+
+
+    // coordinates to 0.1px
+    _num: function (v) {
+        return Math.round(v * 10) / 10;
+    }
+});
+
+L.MetricGrid.SvgContext.NS = "http://www.w3.org/2000/svg";
+
+/** Definitions for a British Grid - EPSG code 27700
+* Clip path avoids overlaying L.IrishGrid.
+*/
+L.BritishGrid = L.MetricGrid.extend({
+
+    options: {
+        proj4ProjDef: "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +datum=OSGB36 +units=m +no_defs",
+        bounds: [[0, 0] , [700000, 1300000]],
+        clip: [[0, 0], [700000, 0], [700000, 1300000], [0, 1300000], [0, 700000],
+               [100000, 650000], [150000, 600000],  [190000, 550000], [200000, 500000], [200000, 400000],[0,0]],
+        hundredKmSquareFunc: function(e, n) {
+            var osgbGridSquares =  // index by  Northing kM / 100, Easting kM / 100
+            [
+                ["SV","SW","SX","SY","SZ","TV","TW"],
+                ["SQ","SR","SS","ST","SU","TQ","TR"],
+                ["SL","SM","SN","SO","SP","TL","TM"],
+                ["SF","SG","SH","SJ","SK","TF","TG"],
+                ["SA","SB","SC","SD","SE","TA","TB"],
+                ["NV","NW","NX","NY","NZ","OV","OW"],
+                ["NQ","NR","NS","NT","NU","OQ","OR"],
+                ["NL","NM","NN","NO","NP","OL","OM"],
+                ["NF","NG","NH","NJ","NK","OF","OG"],
+                ["NA","NB","NC","ND","NE","OA","OB"],
+                ["HV","HW","HX","HY","HZ","JV","JW"],
+                ["HQ","HR","HS","HT","HU","JQ","JR"],
+                ["HL","HM","HN","HO","HP","JL","JM"]
+            ];
+            var eSq = Math.floor(e / 100000);
+            var nSq = Math.floor(n / 100000);
+            return ((eSq < 7) && (nSq < 13) && (eSq >= 0) && (nSq >= 0)) ? osgbGridSquares[nSq][eSq] : "--";
+        }
+    }
+});
+
+// instance factory
+L.britishGrid = function (options) {
+    return new L.BritishGrid(options);
+};
+
+/** Definitions for a Irish Grid - EPSG code 29903 (TM75)
+* Clip path avoids overlaying L.BritishGrid
+*/
+L.IrishGrid = L.MetricGrid.extend({
+
+    options: {
+        proj4ProjDef: "+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=1.000035 +x_0=200000 +y_0=250000 +ellps=mod_airy +towgs84=482.5,-130.6,564.6,-1.042,-0.214,-0.631,8.15 +uni+units=m +no_defs",
+        bounds: [[0, 0] , [500000, 500000]],
+        clip: [
+            [0, 0],
+            [290000, 0],
+            [370000, 300000],
+            [370000, 400000],
+            [310000, 460000],
+            [200000, 500000],
+            [0, 500000],
+            [0, 0]],
+        hundredKmSquareFunc: function(e, n) {
+            var    irishGridSquares = // index by Easting kM / 100, Northing kM / 100
+            [
+            ["V", "Q", "L", "F", "A"],
+            ["W", "R", "M", "G", "B"],
+            ["X", "S", "N", "H", "C"],
+            ["Y", "T", "O", "J", "D"],
+            ["Z", "U", "P", "K", "E"]
+            ];
+            var eSq = Math.floor(e / 100000);
+            var nSq = Math.floor(n / 100000);
+            return ((eSq < 5) && (nSq < 5) && (eSq >= 0) && (nSq >= 0)) ? irishGridSquares[eSq][nSq] : "--";
+        }
+    }
+});
+
+// instance factory
+L.irishGrid = function (options) {
+    return new L.IrishGrid(options);
+};
+
+/** Definitions for a Swiss Grid, LV03 - EPSG code 21781
+* Labelled with full coordinates in metres, as the Swiss quote them e.g. 600 000 / 200 000.
+* Clip path is around Switzerland and Liechtenstein, a few km outside the border. It is their Natural Earth 1:10m border
+* buffered 6km outwards and simplified to within 1.5km, so it is 4km or more outside that border.
+*/
+L.SwissGrid = L.MetricGrid.extend({
+
+    options: {
+        proj4ProjDef: "+proj=somerc +lat_0=46.95240555555556 +lon_0=7.439583333333333 +k_0=1 +x_0=600000 +y_0=200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs",
+        bounds: [[400000, 0] , [900000, 300000]],
+        clip: [
+            [480000, 119000], [480000, 109000], [482000, 105000], [499000, 105000], [516000, 119000], [516000, 126000],
+            [512000, 130000], [515000, 133000], [532000, 139000], [542000, 138000], [541000, 131000], [546000, 124000],
+            [543000, 116000], [543000, 107000], [548000, 103000], [551000, 95000], [560000, 90000], [567000, 78000],
+            [578000, 75000], [589000, 78000], [596000, 78000], [610000, 86000], [619000, 80000], [634000, 80000],
+            [640000, 87000], [648000, 91000], [651000, 100000], [659000, 110000], [657000, 122000], [671000, 135000],
+            [670000, 125000], [672000, 117000], [679000, 113000], [687000, 104000], [699000, 100000], [697000, 91000],
+            [706000, 86000], [710000, 72000], [723000, 70000], [732000, 82000], [732000, 87000], [728000, 92000],
+            [728000, 97000], [731000, 101000], [732000, 107000], [743000, 118000], [747000, 129000], [746000, 143000],
+            [748000, 142000], [749000, 135000], [759000, 124000], [774000, 123000], [789000, 132000], [798000, 117000],
+            [805000, 116000], [813000, 121000], [816000, 128000], [811000, 135000], [814000, 144000], [811000, 148000],
+            [806000, 150000], [805000, 155000], [808000, 161000], [818000, 153000], [830000, 152000], [836000, 155000],
+            [838000, 167000], [836000, 172000], [832000, 175000], [836000, 190000], [836000, 204000], [828000, 213000],
+            [823000, 215000], [816000, 212000], [805000, 198000], [791000, 204000], [788000, 214000], [771000, 220000],
+            [767000, 229000], [765000, 237000], [773000, 251000], [773000, 259000], [763000, 271000], [740000, 285000],
+            [718000, 288000], [712000, 285000], [694000, 299000], [683000, 301000], [672000, 295000], [666000, 286000],
+            [665000, 280000], [654000, 280000], [645000, 274000], [629000, 278000], [622000, 273000], [619000, 277000],
+            [613000, 277000], [599000, 270000], [592000, 260000], [586000, 259000], [584000, 265000], [576000, 267000],
+            [567000, 267000], [561000, 264000], [551000, 245000], [553000, 241000], [558000, 239000], [557000, 236000],
+            [539000, 219000], [536000, 212000], [519000, 203000], [516000, 182000], [494000, 163000], [493000, 157000],
+            [489000, 150000], [488000, 142000], [493000, 135000], [491000, 128000], [482000, 124000], [480000, 119000]],
+        labelMode: "metres",
+        labelSeparator: " "
+    }
+});
+
+// instance factory
+L.swissGrid = function (options) {
+    return new L.SwissGrid(options);
+};
+
+/** Definitions for a Swiss Grid, LV95 - EPSG code 2056
+* LV03 with 2 000 000 added to eastings and 1 000 000 to northings.
+* Labelled with full coordinates in metres, as the Swiss quote them e.g. 2'600'000 / 1'200'000.
+*/
+L.SwissGridLV95 = L.SwissGrid.extend({
+
+    options: {
+        proj4ProjDef: "+proj=somerc +lat_0=46.95240555555556 +lon_0=7.439583333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs",
+        bounds: [[2400000, 1000000] , [2900000, 1300000]],
+        clip: L.SwissGrid.prototype.options.clip.map(function (p) {
+            return [p[0] + 2000000, p[1] + 1000000];
+        }),
+        labelSeparator: "'"
+    }
+});
+
+// instance factory
+L.swissGridLV95 = function (options) {
+    return new L.SwissGridLV95(options);
+};
+
+/** Definitions for UTM grid
+*/
+
+L.UtmGrid = L.MetricGrid.extend({
+
+    options: {
+        bounds: [[100000, 0] , [900000, 9400000]],
+        mgrs: false,                        // when true, square labels include the MGRS grid zone designator e.g. 30UWU
+        showBands: false                    // when true, MGRS latitude band boundaries are drawn and labelled with their grid zone designator
+    },
+    
+    initialize: function(zone, bSouth, options) {
+
+        this._zone = zone;
+        this._bSouth = !!bSouth;
+
+        options.proj4ProjDef = "+proj=utm +zone=" + zone + " +ellps=WGS84 +datum=WGS84 +units=m +no_defs";
+        if (bSouth) {
+            options.proj4ProjDef += " +south";
+            options.bounds = [[100000, 600000] , [900000, 10000000]];
+        }
+
+        options.hundredKmSquareFunc = function(e, n) {
+            
+            var r = "";
+            
+            // 100kM square UTM Easting letters, standard treatment (NIMA 8358.1 Appx B3)
+
+            var UTMEast = [
+            "ABCDEFGH", // zones 1,4, ...,   -400, -300, -200, -100, 0, 100, 200, 300 kM
+            "JKLMNPQR", // zones 2,5, ...,
+            "STUVWXYZ"  // zones 3,6, ...,
+            ];
 
             // 100kM square UTM Northing letters, standard treatment (NIMA 8358.1 Appx B3)
             // repeat every 2000 kM
             // start at A at 0 Lat and go forwards for northern hemisphere
             // start at V at 0 Lat and go backwards for southern hemisphere
 
-            var UTMNorthGroup1 =
-            [
-            "ABCDEFGHJKLMNPQRSTUV", // odd numbered zones
-            "FGHJKLMNPQRSTUVABCDE"  // even numbered zones
-            ];     
-            
-            var x = Math.floor(e / 100000);
-            var y = Math.floor(n / 100000);
-            var z = zone - 1;
+            var UTMNorthGroup1 =
+            [
+            "ABCDEFGHJKLMNPQRSTUV", // odd numbered zones
+            "FGHJKLMNPQRSTUVABCDE"  // even numbered zones
+            ];     
+            
+            var x = Math.floor(e / 100000);
+            var y = Math.floor(n / 100000);
+            var z = zone - 1;
+
+            if (bSouth) {
+                y -= 100;
+            }
+            
+            if ((x >= 1) && (x <= 8)) {                           
+                r  = UTMEast[z % 3].charAt(x - 1);
+            }
+            else {
+                r = '-';
+            }
+
+            if (y >= 0) {
+                r += UTMNorthGroup1[z % 2].charAt(y % 20);// Northern Hemisphere
+            }
+            else {
+                r += UTMNorthGroup1[z  % 2].charAt(19+((y+1) % 20));// Southern Hemisphere      
+            }
+            return r;            
+        }
+        
+        L.MetricGrid.prototype.initialize.call(this, options);
+    },
+
+
+    // MGRS latitude band letter, C..X in 8 degree bands from 80S, X is extended to 84N
+    _bandLetter: function (lat) {
+        var i = Math.floor((lat + 80) / 8);
+        return "CDEFGHJKLMNPQRSTUVWX".charAt(Math.max(0, Math.min(19, i)));
+    },
+
+
+    // MGRS 100km square id including the grid zone designator e.g. "30U WU"
+    _squareId: function (e, n) {
+        var ll = this._proj().inverse([e, n]);
+        return this._zone + this._bandLetter(ll[1]) + " " + this.options.hundredKmSquareFunc(e, n);
+    },
+
+
+    // Square labels include the grid zone designator in MGRS mode.
+    // The band is that of a point just inside the square, as squares are split by band boundaries.
+    _squareLabelId: function (e, n, spacing) {
+        if (this.options.mgrs) {
+            var ll = this._proj().inverse([e + (spacing / 100), n + (spacing / 100)]);
+            return this._zone + this._bandLetter(ll[1]) + this.options.hundredKmSquareFunc(e, n);
+        }
+        return this.options.hundredKmSquareFunc(e, n);
+    },
+
+
+    // Draws the grid then the MGRS latitude band boundaries
+    _draw: function (ctx, view, geom) {
+
+        ctx = ctx || this._context();
+        L.MetricGrid.prototype._draw.call(this, ctx, view, geom);
+
+        if (this.options.showBands && ctx && this._map) {
+            view = view || this._mapView();
+            if (this._zoomDrawn(view.zoom)) {
+                this._drawBands(ctx, view);
+            }
+        }
+    },
+
+
+    // Draws the parallels between MGRS latitude bands across the zone, or across latLonClipBounds if set.
+    // Each band is labelled with its grid zone designator above its southern boundary, if within any clip.
+    _drawBands: function (ctx, view) {
+
+        var cm = (this._zone * 6) - 183;
+        var lonW = cm - 3;
+        var lonE = cm + 3;
+        var latS = this._bSouth ? -80 : 0;
+        var latN = this._bSouth ? 0 : 84;
+
+        if (this.options.latLonClipBounds) {
+            var b = L.latLngBounds(this.options.latLonClipBounds);
+            lonW = b.getWest();
+            lonE = b.getEast();
+            latS = Math.max(latS, b.getSouth());
+            latN = Math.min(latN, b.getNorth());
+        }
+
+        // band boundaries, X is 12 degrees
+        var lats = [];
+        var lat;
+        for (lat = -80; lat <= 72; lat += 8) {
+            lats.push(lat);
+        }
+        lats.push(84);
+
+        var hh = view.size.y;
+        var rings = this._clipRings();
+        var i;
+        var j;
+        var pts;
+        var pW;
+        var pE;
+        var pN;
+        var s;
+
+        // drawing points of the clip and areas left to other grids for the labels,
+        // worked out afresh as the line cache may be the worker's
+        var noCache = L.extend({}, view, {origin: null});
+        var clip = rings ? this._clipPoints(noCache, rings, "c") : null;
+        var exclude = [];
+        for (i = 0; this._exclusions && (i < this._exclusions.length); i++) {
+            exclude.push(this._clipPoints(noCache, this._exclusions[i].rings, this._exclusions[i].key));
+        }
+
+        ctx.setLineDash([this.options.weight * 4, this.options.weight * 2]);
+
+        for (i = 0; i < lats.length; i++) {
+            lat = lats[i];
+            if ((lat < latS) || (lat > latN)) {
+                continue;
+            }
+
+            // parallels are straight on Web Mercator, but may curve on other map CRSs
+            function _interpolate (frac) {
+                return [lonW + (frac * (lonE - lonW)), lat];
+            }
+            pts = this._getPoints(_interpolate, 1.0, view.toPoint);
+            pW = pts[0];
+            pE = pts[pts.length - 1];
+            ctx.beginPath();
+            ctx.moveTo(pW.x, pW.y);
+            for (j = 1; j < pts.length; j++) {
+                ctx.lineTo(pts[j].x, pts[j].y);
+            }
+            ctx.stroke();
+
+            // label the band to the north of this boundary, if any of it is in view
+            if ((i < lats.length - 1) && (lats[i + 1] <= latN)) {
+                pN = view.toPoint(L.latLng(lats[i + 1], lonW));
+                s = L.point(Math.max(pW.x, 0) + 2, Math.min(pW.y, hh) - 2);
+                if ((pN.y < hh) && (pW.y > 0) && (pE.x > 0) && this._inClip(s, clip, null) && !this._excluded([s.x, s.y], exclude)) {
+                    this._drawLabel(ctx, this._zone + this._bandLetter(lat + 1), s.x, s.y, this._textHeight(ctx), null);
+                }
+            }
+        }
+
+        ctx.setLineDash([]);
+    },
+
+
+    // Bottom left grid coordinates of an MGRS 100km square e.g. "30UWU".
+    // The grid zone designator is needed to resolve the northing letter, which repeats every 2000km.
+    _squareOrigin: function (sq) {
+
+        var m = sq.match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])$/);
+        if (!m) {
+            return null;
+        }
+        if (parseInt(m[1], 10) != this._zone) {
+            throw new Error("MGRS zone " + m[1] + " does not match this grid's zone " + this._zone);
+        }
+        if ((m[2] < "N") != this._bSouth) {
+            throw new Error("MGRS band " + m[2] + " is not in this grid's " + (this._bSouth ? "southern" : "northern") + " hemisphere");
+        }
+
+        var proj = this._proj();
+        var sqFunc = this.options.hundredKmSquareFunc;
+        var e;
+        var n;
+
+        // easting from the column letter
+        for (e = 100000; e < 900000; e += 100000) {
+            if (sqFunc(e, 0).charAt(0) == m[3]) {
+                break;
+            }
+        }
+        if (e >= 900000) {
+            return null;
+        }
+
+        // northing range of the latitude band across the zone
+        var cm = (this._zone * 6) - 183;
+        var latS = -80 + ("CDEFGHJKLMNPQRSTUVWX".indexOf(m[2]) * 8);
+        var latN = (m[2] == "X") ? 84 : latS + 8;
+        var minN = Math.min(proj.forward([cm, latS])[1], proj.forward([cm + 3, latS])[1]);
+        var maxN = Math.max(proj.forward([cm, latN])[1], proj.forward([cm + 3, latN])[1]);
+
+        // first square in the band with the northing letter
+        var start = Math.floor(minN / 100000) * 100000;
+        for (n = start; n < start + 2000000; n += 100000) {
+            if (sqFunc(e, n).charAt(1) == m[4]) {
+                return (n < maxN) ? [e, n] : null;
+            }
+        }
+        return null;
+    },
+
+
+    // Base class override, in a L.MetricGridGroup an unclipped zone grid covers its zone,
+    // so that neighbouring zones each keep their own strip
+    _latLonArea: function () {
+
+        if (this._clipPolygons() || this.options.latLonClipBounds) {
+            return L.MetricGrid.prototype._latLonArea.call(this);
+        }
+
+        return L.UtmGrid.zoneRects(this._zone, this._bSouth).map(function (r) {
+            return [[r[2], r[0]], [r[3], r[0]], [r[3], r[1]], [r[2], r[1]], [r[2], r[0]]];
+        });
+    },
+
+
+    // Base class override, an unclipped zone grid leaves the part of its bounds beyond its zone
+    _outsideArea: function () {
+
+        if (this._clipPolygons() || this.options.latLonClipBounds) {
+            return null;
+        }
+
+        var b = this.options.bounds;
+        var rings = [[[b[0][0], b[0][1]], [b[1][0], b[0][1]], [b[1][0], b[1][1]], [b[0][0], b[1][1]], [b[0][0], b[0][1]]]];
+        var area = this._latLonArea();
+        var i;
+        for (i = 0; i < area.length; i++) {
+            rings.push(this._latLonRingToGrid(area[i]));
+        }
+        return rings;
+    }
+
+});
+            
+// instance factory
+// constructor params are UTM zone 1..60 and boolean true for southern hemisphere
+L.utmGrid = function (zone, bSouth, options) {
+    return new L.UtmGrid(zone, bSouth, options);
+};
+
+// [south lat, north lat, west lon, east lon] of northern zones that differ from the standard 6 degree zone,
+// for Norway (32V) and Svalbard (31X..37X)
+L.UtmGrid._zoneExceptions = {
+    31: [[0, 56, 0, 6], [56, 64, 0, 3], [64, 72, 0, 6], [72, 84, 0, 9]],
+    32: [[0, 56, 6, 12], [56, 64, 3, 12], [64, 72, 6, 12]],
+    33: [[0, 72, 12, 18], [72, 84, 9, 21]],
+    34: [[0, 72, 18, 24]],
+    35: [[0, 72, 24, 30], [72, 84, 21, 33]],
+    36: [[0, 72, 30, 36]],
+    37: [[0, 72, 36, 42], [72, 84, 33, 42]]
+};
+
+// The Lat/Lon rectangles of a UTM zone, as [south lat, north lat, west lon, east lon],
+// from 80S to the equator or the equator to 84N. Zones with exceptions need more than one rectangle.
+L.UtmGrid.zoneRects = function (zone, bSouth) {
+    var w = -180 + ((zone - 1) * 6);
+    if (bSouth) {
+        return [[-80, 0, w, w + 6]];
+    }
+    return L.UtmGrid._zoneExceptions[zone] || [[0, 84, w, w + 6]];
+};
+
+/** Definitions for UPS grids - EPSG codes 32661 (north) and 32761 (south)
+* Universal Polar Stereographic covers the polar areas outside UTM, north of 84N and south of 80S.
+* 100km squares use the polar MGRS lettering, prefixed with the A/B (south) or Y/Z (north) zone letter.
+* Clip path is the UTM limit parallel, so the grid does not overlay UTM grids.
+*/
+L.UpsGrid = L.MetricGrid.extend({
+
+    options: {
+        bounds: [[800000, 1300000] , [3200000, 2700000]]
+    },
+
+    initialize: function(bSouth, options) {
+
+        this._bSouth = !!bSouth;
+
+        var lat = bSouth ? -80 : 84;
+        options.proj4ProjDef = "+proj=stere +lat_0=" + (bSouth ? -90 : 90) + " +lat_ts=" + (bSouth ? -90 : 90) +
+            " +lon_0=0 +k=0.994 +x_0=2000000 +y_0=2000000 +ellps=WGS84 +datum=WGS84 +units=m +no_defs";
+        if (bSouth) {
+            options.bounds = [[800000, 800000] , [3200000, 3200000]];
+        }
+
+        // clip to the UTM limit parallel, as a closed polygon in grid coordinates
+        var proj = proj4(options.proj4ProjDef);
+        var clip = [];
+        var lon;
+        for (lon = -180; lon <= 180; lon += 0.5) {
+            clip.push(proj.forward([lon, lat]));
+        }
+        options.clip = clip;
+
+        options.hundredKmSquareFunc = function(e, n) {
+
+            // 100kM square UPS letters (NIMA 8358.1 Appx B3)
+            // columns skip D, E, I, M, N, O, V and W, rows skip I and O
+            var west = (e < 2000000);
+            var zoneLetter = bSouth ? (west ? "A" : "B") : (west ? "Y" : "Z");
+            var cols = west ? "JKLPQRSTUXYZ" : "ABCFGHJKLPQR";
+            var rows = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+            var x = Math.floor((e - (west ? 800000 : 2000000)) / 100000);
+            var y = Math.floor((n - (bSouth ? 800000 : 1300000)) / 100000);
+
+            if ((x < 0) || (x >= cols.length) || (y < 0) || (y >= rows.length)) {
+                return "--";
+            }
+            return zoneLetter + cols.charAt(x) + rows.charAt(y);
+        }
+
+        L.MetricGrid.prototype.initialize.call(this, options);
+    },
+
+
+    // polar MGRS 100km square id with the zone letter apart e.g. "Z AH"
+    _squareId: function (e, n) {
+        var sq = this.options.hundredKmSquareFunc(e, n);
+        return sq.charAt(0) + " " + sq.substr(1);
+    }
+
+});
+
+// instance factory
+// constructor param is boolean true for the southern (Antarctic) grid
+L.upsGrid = function (bSouth, options) {
+    return new L.UpsGrid(bSouth, options);
+};
+
+/** Grid registry - grid definitions by EPSG code, for L.metricGrid.fromEPSG.
+* A definition is either the options of an L.MetricGrid (proj4ProjDef, bounds, clip, hundredKmSquareFunc etc.)
+* or a factory function(options) returning a grid layer, e.g. L.britishGrid.
+* Comes with the British, Irish, Swiss, UTM and UPS grids, Irish Transverse Mercator, Dutch RD New,
+* French Lambert-93 and the German Gauss-Kruger zones 2 to 5.
+*/
+L.MetricGrid._registry = {};
+
+// MetricGrid static - registers a grid definition under an EPSG code e.g. 27700 or "EPSG:27700", replacing any already registered
+L.MetricGrid.register = function (code, definition) {
+    L.MetricGrid._registry[L.MetricGrid._epsgKey(code)] = definition;
+};
+
+// The registry key of an EPSG code, "27700" for 27700 or "EPSG:27700"
+L.MetricGrid._epsgKey = function (code) {
+    return String(code).replace(/^EPSG:/i, "");
+};
+
+// instance factory
+// creates the grid registered under an EPSG code, options override those of the definition
+L.metricGrid.fromEPSG = function (code, options) {
+    var def = L.MetricGrid._registry[L.MetricGrid._epsgKey(code)];
+    if (!def) {
+        throw new Error("No grid registered for EPSG code " + code);
+    }
+    if (typeof def === "function") {
+        return def(L.extend({}, options));
+    }
+    return new L.MetricGrid(L.extend({}, def, options));
+};
+
+// Factory for the UTM grid of a zone, as registered under EPSG codes 32601 to 32660 (north) and 32701 to 32760 (south)
+L.MetricGrid._utmFactory = function (zone, bSouth) {
+    return function (options) {
+        return L.utmGrid(zone, bSouth, options);
+    };
+};
+
+// Definition of a DHDN Gauss-Kruger zone 2 to 5, EPSG codes 31466 to 31469.
+// Each zone is clipped to its 3 degree strip of Germany, and labelled in full km e.g. 3500 / 5400.
+L.MetricGrid._gaussKrugerDefinition = function (zone) {
+    var lon0 = zone * 3;
+    var e0 = zone * 1000000;
+    return {
+        proj4ProjDef: "+proj=tmerc +lat_0=0 +lon_0=" + lon0 + " +k=1 +x_0=" + (e0 + 500000) + " +y_0=0 +ellps=bessel " +
+            "+towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs",
+        bounds: [[e0 + 300000, 5200000] , [e0 + 700000, 6200000]],
+        latLonClipBounds: [[47.2, Math.max(lon0 - 1.5, 5.8)], [55.1, Math.min(lon0 + 1.5, 15.1)]],
+        labelMode: "km"
+    };
+};
+
+// Registers the grids above and the national grids below, done once as the script loads
+L.MetricGrid._registerBuiltIns = function () {
+
+    var zone;
+
+    L.MetricGrid.register(27700, L.britishGrid);
+    L.MetricGrid.register(29903, L.irishGrid);
+    L.MetricGrid.register(21781, L.swissGrid);
+    L.MetricGrid.register(2056, L.swissGridLV95);
+
+    for (zone = 1; zone <= 60; zone++) {
+        L.MetricGrid.register(32600 + zone, L.MetricGrid._utmFactory(zone, false));
+        L.MetricGrid.register(32700 + zone, L.MetricGrid._utmFactory(zone, true));
+    }
+    L.MetricGrid.register(32661, function (options) {
+        return L.upsGrid(false, options);
+    });
+    L.MetricGrid.register(32761, function (options) {
+        return L.upsGrid(true, options);
+    });
+
+    // Irish Transverse Mercator, clip path as L.IrishGrid
+    L.MetricGrid.register(2157, {
+        proj4ProjDef: "+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=0.99982 +x_0=600000 +y_0=750000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+        bounds: [[400000, 500000] , [900000, 1000000]],
+        clip: [[400000, 500000], [690000, 500000], [770000, 800000], [770000, 900000], [710000, 960000],
+               [600000, 1000000], [400000, 1000000], [400000, 500000]],
+        labelMode: "metres"
+    });
+
+    // Dutch RD New, clip path is around the Netherlands, a few km outside the border and coast
+    L.MetricGrid.register(28992, {
+        proj4ProjDef: "+proj=sterea +lat_0=52.15616055555555 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel " +
+            "+towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs",
+        bounds: [[0, 300000] , [300000, 700000]],
+        clip: [
+            [6000, 387000], [13000, 361000], [47000, 352000], [79000, 366000], [111000, 374000], [132000, 373000],
+            [142000, 357000], [166000, 348000], [170000, 303000], [205000, 301000], [209000, 318000], [215000, 346000],
+            [218000, 385000], [215000, 413000], [256000, 424000], [262000, 452000], [276000, 469000], [275000, 508000],
+            [284000, 548000], [282000, 598000], [255000, 625000], [189000, 618000], [123000, 596000], [99000, 568000],
+            [85000, 507000], [56000, 452000], [14000, 414000], [6000, 387000]],
+        labelMode: "metres"
+    });
+
+    // French Lambert-93, clip path is around mainland France, Corsica and the coastal islands, a few km outside the border and coast.
+    // It is their Natural Earth 1:10m outline with the smaller islands, buffered 8km outwards and simplified to within 3km,
+    // with Corsica joined to the mainland over the sea
+    L.MetricGrid.register(2154, {
+        proj4ProjDef: "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+        bounds: [[0, 6000000] , [1300000, 7200000]],
+        clip: [
+            [92000, 6850000], [96000, 6841000], [120000, 6822000], [119000, 6813000], [107000, 6803000], [108000, 6795000],
+            [137000, 6785000], [144000, 6765000], [163000, 6760000], [175000, 6750000], [190000, 6757000], [200000, 6756000],
+            [209000, 6741000], [221000, 6732000], [220000, 6716000], [225000, 6703000], [240000, 6698000], [268000, 6703000],
+            [289000, 6690000], [294000, 6658000], [282000, 6642000], [283000, 6633000], [297000, 6628000], [316000, 6629000],
+            [326000, 6606000], [341000, 6593000], [342000, 6579000], [351000, 6566000], [354000, 6549000], [363000, 6534000],
+            [362000, 6519000], [371000, 6503000], [354000, 6382000], [334000, 6299000], [322000, 6278000], [307000, 6272000],
+            [303000, 6262000], [309000, 6249000], [324000, 6239000], [334000, 6219000], [352000, 6217000], [384000, 6204000],
+            [404000, 6185000], [429000, 6187000], [449000, 6173000], [507000, 6171000], [522000, 6181000], [534000, 6181000],
+            [558000, 6171000], [567000, 6160000], [582000, 6158000], [614000, 6132000], [638000, 6139000], [662000, 6128000],
+            [675000, 6130000], [693000, 6142000], [709000, 6139000], [721000, 6143000], [722000, 6153000], [711000, 6174000],
+            [716000, 6217000], [728000, 6232000], [745000, 6235000], [776000, 6260000], [814000, 6254000], [833000, 6244000],
+            [876000, 6241000], [888000, 6231000], [915000, 6224000], [931000, 6213000], [943000, 6214000], [960000, 6207000],
+            [978000, 6208000], [990000, 6215000], [994000, 6227000], [1006000, 6236000], [1012000, 6255000], [1063000, 6299000],
+            [1162000, 6185000], [1150000, 6161000], [1150000, 6141000], [1157000, 6121000], [1156000, 6100000], [1177000, 6064000],
+            [1220000, 6039000], [1232000, 6042000], [1241000, 6088000], [1240000, 6114000], [1251000, 6139000], [1244000, 6185000],
+            [1237000, 6200000], [1234000, 6235000], [1226000, 6242000], [1214000, 6240000], [1205000, 6212000], [1187000, 6198000],
+            [1167000, 6189000], [1068000, 6303000], [1071000, 6319000], [1083000, 6339000], [1078000, 6357000], [1069000, 6361000],
+            [1049000, 6355000], [1021000, 6369000], [1017000, 6390000], [1029000, 6408000], [1023000, 6426000], [1011000, 6436000],
+            [1008000, 6445000], [1029000, 6467000], [1033000, 6490000], [1019000, 6504000], [1012000, 6522000], [1019000, 6546000],
+            [1003000, 6572000], [998000, 6601000], [971000, 6611000], [965000, 6620000], [973000, 6650000], [1014000, 6699000],
+            [1037000, 6707000], [1052000, 6728000], [1048000, 6751000], [1053000, 6773000], [1050000, 6790000], [1059000, 6813000],
+            [1064000, 6844000], [1081000, 6864000], [1088000, 6883000], [1084000, 6893000], [1062000, 6901000], [1040000, 6902000],
+            [1023000, 6913000], [1005000, 6908000], [975000, 6917000], [959000, 6937000], [949000, 6943000], [932000, 6946000],
+            [915000, 6943000], [901000, 6950000], [882000, 6951000], [844000, 6977000], [838000, 7013000], [827000, 7016000],
+            [811000, 7002000], [800000, 7003000], [790000, 7025000], [775000, 7035000], [758000, 7037000], [748000, 7049000],
+            [730000, 7057000], [714000, 7082000], [685000, 7084000], [674000, 7114000], [666000, 7118000], [622000, 7108000],
+            [594000, 7092000], [588000, 7021000], [582000, 7008000], [564000, 6993000], [525000, 6984000], [492000, 6966000],
+            [481000, 6944000], [480000, 6931000], [473000, 6925000], [408000, 6938000], [395000, 6971000], [382000, 6974000],
+            [367000, 6970000], [342000, 6977000], [335000, 6963000], [343000, 6929000], [356000, 6908000], [356000, 6894000],
+            [351000, 6886000], [340000, 6880000], [336000, 6866000], [328000, 6861000], [309000, 6865000], [282000, 6858000],
+            [274000, 6865000], [265000, 6885000], [224000, 6893000], [207000, 6878000], [183000, 6882000], [169000, 6875000],
+            [140000, 6871000], [117000, 6857000], [100000, 6858000], [92000, 6850000]],
+        labelMode: "metres",
+        labelSeparator: " "
+    });
+
+    for (zone = 2; zone <= 5; zone++) {
+        L.MetricGrid.register(31464 + zone, L.MetricGrid._gaussKrugerDefinition(zone));
+    }
+};
+
+L.MetricGrid._registerBuiltIns();
+
+
+/** Latitude/longitude graticule, drawn by the MetricGrid engine with degrees as the grid units.
+* Meridians and parallels are fitted to the map's CRS like grid lines. Intervals run from 90 degrees down to
+* 1 second (DMS labels) or 0.0001 degree (decimal labels), chosen by on screen size (intervalPixels).
+* The west and south edges are labelled, as MetricGrid axes.
+* clip and latLonClipBounds work as for MetricGrid, with clip in [lon, lat] degrees.
+*/
+L.Graticule = L.MetricGrid.extend({
+
+    options: {
+        proj4ProjDef: "+proj=longlat +datum=WGS84 +no_defs",
+        bounds: [[-180, -90], [180, 90]],
+        labelFormat: "dms",                 // "dms" for degrees, minutes and seconds, or "decimal" for decimal degrees
+        intervals: null,                    // optional, an array of intervals in degrees, defaults to the ladder for labelFormat
+        showAxisLabels: null,               // optional, intervals to label, defaults to all of them
+        intervalPixels: 80,
+        minInterval: 0,
+        maxInterval: 90,
+        minZoom: 0
+    },
+
+
+    // Pseudo class constructor
+    initialize: function (options) {
+
+        L.MetricGrid.prototype.initialize.call(this, options);
+
+        if (!this.options.intervals) {
+            this.options.intervals = (this.options.labelFormat === "decimal") ? L.Graticule.DECIMAL_INTERVALS : L.Graticule.DMS_INTERVALS;
+        }
+        if (!this.options.showAxisLabels) {
+            this.options.showAxisLabels = this.options.intervals;
+        }
+    },
+
+
+    // Degrees per pixel at the center of the map, as the graticule's grid units are degrees.
+    // The geometric mean of the degrees of longitude and of latitude across a pixel.
+    _mPerPx: function (zoom) {
+        var ll1 = this._map.getCenter();
+        var p1 = this._map.project(ll1, zoom);
+        var llx = this._map.unproject(p1.add(new L.Point(1, 0)), zoom);
+        var lly = this._map.unproject(p1.add(new L.Point(0, 1)), zoom);
+        return Math.sqrt(Math.abs(llx.lng - ll1.lng) * Math.abs(lly.lat - ll1.lat));
+    },
+
+
+    // Formats longitude labels
+    _format_eastings: function (lon, spacing) {
+        return this._formatDegrees(lon, spacing, "E", "W");
+    },
+
+
+    // Formats latitude labels
+    _format_northings: function (lat, spacing) {
+        return this._formatDegrees(lat, spacing, "N", "S");
+    },
+
+
+    // Formats an angle in DMS or decimal degrees to the resolution of the spacing,
+    // followed by the hemisphere letter unless it is zero
+    _formatDegrees: function (v, spacing, pos, neg) {
+
+        var str;
+
+        if (this.options.labelFormat === "decimal") {
+            var places = Math.max(0, Math.ceil(-(Math.log(spacing) / Math.LN10) - 1e-9));
+            str = Math.abs(v).toFixed(places);
+            if (+str === 0) {
+                return str + "\u00b0";
+            }
+            str += "\u00b0";
+        }
+        else {
+            // whole seconds, as loops adding the spacing gather rounding errors
+            var sec = Math.round(Math.abs(v) * 3600);
+            if (sec === 0) {
+                return "0\u00b0";
+            }
+            str = Math.floor(sec / 3600) + "\u00b0";
+            if (spacing < 1 - 1e-9) {
+                str += this._padDigits(Math.floor((sec % 3600) / 60), 2) + "\u2032";
+            }
+            if (spacing < (1 / 60) - 1e-9) {
+                str += this._padDigits(sec % 60, 2) + "\u2033";
+            }
+        }
+
+        return str + ((v > 0) ? pos : neg);
+    }
+
+});
+
+// intervals in degrees for DMS labels, 1 second to 90 degrees
+L.Graticule.DMS_INTERVALS = [
+    1 / 3600, 2 / 3600, 5 / 3600, 10 / 3600, 15 / 3600, 30 / 3600,
+    1 / 60, 2 / 60, 5 / 60, 10 / 60, 15 / 60, 30 / 60,
+    1, 2, 5, 10, 15, 30, 45, 90
+];
+
+// intervals in degrees for decimal labels, 0.0001 to 90 degrees
+L.Graticule.DECIMAL_INTERVALS = [
+    0.0001, 0.0002, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5,
+    1, 2, 5, 10, 20, 45, 90
+];
+
+// instance factory
+L.graticule = function (options) {
+    return new L.Graticule(options);
+};
+
+/** Worldwide UTM grid.
+* Creates, clips and retires L.UtmGrid zone grids for the map view in both hemispheres,
+* using the real zone extents including the Norway (32V) and Svalbard (31X..37X) exceptions.
+* Zone grids stop at 84N and 80S, beyond which L.UpsGrid polar grids take over if the ups option is set.
+* Other options are passed on to each zone grid.
+*/
+L.UtmGridWorld = L.LayerGroup.extend({
+
+    options: {
+        minZoom: 4,                         // minimum zoom at which zone grids are created
+        ups: true                           // when true, UPS grids cover the polar areas
+    },
+
+
+    // Pseudo class constructor
+    initialize: function (options) {
+        L.LayerGroup.prototype.initialize.call(this, null, options);
+        this._grids = {};
+        this._regions = this._zoneRegions();
+    },
 
-            if (bSouth) {
-                y -= 100;
+
+    // Base class override
+    onAdd: function (map) {
+        L.LayerGroup.prototype.onAdd.call(this, map);
+        map.on("moveend", this._update, this);
+        this._update();
+    },
+
+
+    // Base class override
+    onRemove: function (map) {
+        map.off("moveend", this._update, this);
+        L.LayerGroup.prototype.onRemove.call(this, map);
+    },
+
+
+    // The Lat/Lon rectangles covered by each zone grid, in both hemispheres.
+    // Zones with exceptions need more than one rectangle.
+    _zoneRegions: function () {
+
+        var regions = [];
+        var z;
+        var i;
+        var rects;
+
+        for (z = 1; z <= 60; z++) {
+
+            rects = L.UtmGrid.zoneRects(z, true);
+            regions.push({key: z + "S", zone: z, south: true, bounds: [[rects[0][0], rects[0][2]], [rects[0][1], rects[0][3]]]});
+
+            rects = L.UtmGrid.zoneRects(z, false);
+            for (i = 0; i < rects.length; i++) {
+                regions.push({key: z + "N" + i, zone: z, south: false, bounds: [[rects[i][0], rects[i][2]], [rects[i][1], rects[i][3]]]});
             }
-            
-            if ((x >= 1) && (x <= 8)) {                           
-                r  = UTMEast[z % 3].charAt(x - 1);
+        }
+
+        if (this.options.ups) {
+            regions.push({key: "UPSN", ups: true, south: false, bounds: [[84, -180], [90, 180]]});
+            regions.push({key: "UPSS", ups: true, south: true, bounds: [[-90, -180], [-80, 180]]});
+        }
+        return regions;
+    },
+
+
+    // create zone grids that are in view and retire those that are not
+    _update: function () {
+
+        var map = this._map;
+        var zoom = map.getZoom();
+        var view = map.getBounds();
+        var show = !((this.options.minZoom && zoom < this.options.minZoom) ||
+                     (this.options.maxZoom && zoom > this.options.maxZoom));
+        var i;
+        var r;
+        var grid;
+
+        for (i = 0; i < this._regions.length; i++) {
+            r = this._regions[i];
+            grid = this._grids[r.key];
+
+            if (show && L.latLngBounds(r.bounds).intersects(view)) {
+                if (!grid) {
+                    if (r.ups) {
+                        grid = L.upsGrid(r.south, L.extend({}, this.options));
+                    }
+                    else {
+                        grid = L.utmGrid(r.zone, r.south, L.extend({}, this.options, {latLonClipBounds: r.bounds}));
+                    }
+                    this._grids[r.key] = grid;
+                    this.addLayer(grid);
+                }
             }
-            else {
-                r = '-';
+            else if (grid) {
+                this.removeLayer(grid);
+                delete this._grids[r.key];
             }
+        }
+    }
+});
 
-            if (y >= 0) {
-                r += UTMNorthGroup1[z % 2].charAt(y % 20);// Northern Hemisphere
+// instance factory
+L.utmGridWorld = function (options) {
+    return new L.UtmGridWorld(options);
+};
+
+
+/** Group of grids that acts as one layer, e.g. one entry in L.control.layers, where each place is gridded by one grid.
+* Where grids overlap, the grid of highest priority is drawn and the others are clipped automatically,
+* from the bounds and clip or latLonClipBounds of the grids above them. The grids' own clip options are left as they are.
+* By default grids take priority in the order given, the first highest.
+*/
+L.MetricGridGroup = L.LayerGroup.extend({
+
+    options: {
+        priority: null                      // optional, an array of numbers, one per grid, higher numbers take precedence
+    },
+
+
+    // Pseudo class constructor
+    initialize: function (grids, options) {
+
+        this._priorities = {};
+        L.LayerGroup.prototype.initialize.call(this, null, options);
+
+        var i;
+        for (i = 0; i < grids.length; i++) {
+            this.addLayer(grids[i], this.options.priority ? this.options.priority[i] : undefined);
+        }
+    },
+
+
+    // MetricGridGroup method
+    // Adds a grid with a priority, by default below the grids already in the group
+    addLayer: function (grid, priority) {
+
+        var id;
+
+        // the group clips by the bounds and clips of single grids
+        if (!(grid instanceof L.MetricGrid)) {
+            throw new Error("L.MetricGridGroup only holds L.MetricGrid layers such as L.utmGrid zones, not L.utmGridWorld or other layers");
+        }
+
+        if (priority === undefined) {
+            priority = 0;
+            for (id in this._priorities) {
+                priority = Math.min(priority, this._priorities[id] - 1);
             }
-            else {
-                r += UTMNorthGroup1[z  % 2].charAt(19+((y+1) % 20));// Southern Hemisphere      
+        }
+        this._priorities[L.stamp(grid)] = priority;
+        L.LayerGroup.prototype.addLayer.call(this, grid);
+        this._clipGrids();
+        return this;
+    },
+
+
+    // Base class override
+    removeLayer: function (layer) {
+
+        var id = (layer in this._layers) ? layer : this.getLayerId(layer);
+        var grid = this._layers[id];
+
+        L.LayerGroup.prototype.removeLayer.call(this, layer);
+        if (grid) {
+            delete this._priorities[id];
+            grid._setExclusions([]);
+            this._clipGrids();
+        }
+        return this;
+    },
+
+
+    // MetricGridGroup method
+    // Changes the priority of a grid in the group, higher numbers take precedence
+    setPriority: function (grid, priority) {
+        this._priorities[L.stamp(grid)] = priority;
+        this._clipGrids();
+        return this;
+    },
+
+
+    // Works out where each grid is authoritative. Each grid leaves the areas of the grids of higher priority,
+    // converted to its own grid coordinates. They are first cut to its own area in Lat/Lon,
+    // so the conversion stays where its projection holds.
+    _clipGrids: function () {
+
+        var priorities = this._priorities;
+        var grids = this.getLayers().sort(function (a, b) {
+            return priorities[L.stamp(b)] - priorities[L.stamp(a)];
+        });
+        var areas = grids.map(function (grid) {
+            return grid._latLonArea();
+        });
+        var i;
+        var j;
+        var k;
+
+        for (i = 0; i < grids.length; i++) {
+
+            var box = this._box(areas[i]);
+            var outside = grids[i]._outsideArea();
+            var exclusions = outside ? [outside] : [];
+
+            for (j = 0; j < i; j++) {
+                var rings = [];
+                for (k = 0; k < areas[j].length; k++) {
+                    var ring = grids[i]._clipPolygonToRect(areas[j][k], box);
+                    if (ring.length >= 3) {
+                        ring.push(ring[0]);
+                        rings.push(grids[i]._latLonRingToGrid(ring));
+                    }
+                }
+                if (rings.length) {
+                    exclusions.push(rings);
+                }
             }
-            return r;            
+            grids[i]._setExclusions(exclusions);
         }
-        
-        L.setOptions(this, options);
+    },
+
+
+    // [west, south, east, north] of rings of [lon, lat] points, a little larger so edges on it are kept
+    _box: function (rings) {
+
+        var box = [Infinity, Infinity, -Infinity, -Infinity];
+        var i;
+        var j;
+
+        for (i = 0; i < rings.length; i++) {
+            for (j = 0; j < rings[i].length; j++) {
+                box = [Math.min(box[0], rings[i][j][0]), Math.min(box[1], rings[i][j][1]),
+                       Math.max(box[2], rings[i][j][0]), Math.max(box[3], rings[i][j][1])];
+            }
+        }
+        return [box[0] - 0.01, box[1] - 0.01, box[2] + 0.01, box[3] + 0.01];
     }
-    
 });
-            
+
 // instance factory
-// constructor params are UTM zone 1..60 and boolean true for southern hemisphere
-L.utmGrid = function (zone, bSouth, options) {
-    return new L.UtmGrid(zone, bSouth, options);
+// grids is an array of grids, e.g. [L.britishGrid(), L.irishGrid()]
+L.metricGridGroup = function (grids, options) {
+    return new L.MetricGridGroup(grids, options);
+};
+
+
+/** Tiled variant of a MetricGrid, drawn in the tiles of a L.GridLayer.
+* The grid then joins Leaflet's tile loading and zoom animation, and drawn tiles are cached so panning is cheap.
+* Each tile draws the grid for a margin around itself, so square labels carry across tile edges.
+* Axis labels depend on the edges of the view, so are not drawn.
+* The grid param is a MetricGrid, not otherwise added to the map, giving the projection, bounds, clipping and style.
+* The getters and the intervalchange and outofbounds events are those of the grid for the map view;
+* tile loading fires the L.GridLayer loading and load events rather than drawstart and drawend.
+*/
+L.TiledMetricGrid = L.GridLayer.extend({
+
+    options: {
+        labelMargin: null,                  // pixels around each tile that are drawn for labels starting in neighbouring tiles,
+                                            // when null sized from the square labels at each zoom
+        cacheSize: 100                      // number of drawn tiles kept for reuse
+    },
+
+
+    // Pseudo class constructor
+    initialize: function (grid, options) {
+
+        this._grid = grid;
+        L.GridLayer.prototype.initialize.call(this, L.extend({opacity: grid.options.opacity}, options));
+        this._clearCache();
+        grid.on("intervalchange outofbounds", this._forward, this);
+    },
+
+
+    // Base class override
+    onAdd: function (map) {
+        this._grid._map = map; // the grid draws for this map without being added to it
+        L.GridLayer.prototype.onAdd.call(this, map);
+        map.on("moveend viewreset", this._updateView, this);
+        this._updateView();
+    },
+
+
+    // Base class override
+    onRemove: function (map) {
+        map.off("moveend viewreset", this._updateView, this);
+        L.GridLayer.prototype.onRemove.call(this, map);
+        if (this._grid._map === map) {
+            this._grid._map = null;
+            this._grid._drawnVisible = false;
+            this._grid._outOfBounds = false;
+        }
+    },
+
+
+    // MetricGrid method
+    // Returns the grid interval shown on the map, or null if the grid is not shown, see L.MetricGrid
+    getInterval: function () {
+        return this._grid.getInterval();
+    },
+
+
+    // MetricGrid method
+    // Returns the grid extent for the map view as an L.Bounds in grid coordinates, or null, see L.MetricGrid
+    getGridBounds: function () {
+        return this._grid.getGridBounds();
+    },
+
+
+    // MetricGrid method
+    // True if the grid is drawn on the map, see L.MetricGrid
+    isVisible: function () {
+        return this._grid.isVisible();
+    },
+
+
+    // Base class override, also forgets cached tiles e.g. after grid options are changed
+    redraw: function () {
+        this._clearCache();
+        if (this._map) {
+            this._updateView();
+        }
+        return L.GridLayer.prototype.redraw.call(this);
+    },
+
+
+    // Base class override, draws the grid on a canvas tile or reuses a cached one
+    createTile: function (coords) {
+
+        var key = this._tileCoordsToKey(coords);
+        var tile = this._cache[key];
+
+        // the same wrapped tile may be showing elsewhere
+        if (tile && !tile.parentNode) {
+            return tile;
+        }
+
+        var size = this.getTileSize();
+        var pr = window.devicePixelRatio || 1;
+
+        tile = L.DomUtil.create("canvas", "leaflet-tile");
+        tile.width = Math.round(size.x * pr);
+        tile.height = Math.round(size.y * pr);
+        this._drawTile(tile, coords, pr);
+
+        if (!this._cache[key]) {
+            this._cacheKeys.push(key);
+            if (this._cacheKeys.length > this.options.cacheSize) {
+                delete this._cache[this._cacheKeys.shift()];
+            }
+        }
+        this._cache[key] = tile;
+
+        return tile;
+    },
+
+
+    // Draws the grid for a tile and its label margin
+    _drawTile: function (tile, coords, pr) {
+
+        var map = this._map;
+        var zoom = coords.z;
+        var interval = this._interval(zoom);
+        var m = this._labelMargin(interval);
+        var size = this.getTileSize();
+        var origin = coords.scaleBy(size).subtract([m, m]); // pixel origin of the drawing at this zoom
+        var viewSize = size.add([2 * m, 2 * m]);
+
+        this._grid._draw(tile.getContext("2d"), {
+            zoom: zoom,
+            bounds: L.latLngBounds(map.unproject(origin.add([0, viewSize.y]), zoom), map.unproject(origin.add([viewSize.x, 0]), zoom)),
+            size: viewSize,
+            toPoint: function (ll) {
+                return map.project(ll, zoom).subtract(origin);
+            },
+            outline: this._grid._outline(function (x, y) {
+                return map.unproject(origin.add([x, y]), zoom);
+            }, viewSize),
+            straight: this._grid._projectsAsGrid(map.options.crs),
+            offset: L.point(m, m),
+            pixelRatio: pr,
+            axisLabels: false,
+            interval: interval
+        });
+    },
+
+
+    // Label margin in pixels for a grid interval, from the widest of some square labels
+    // as labels are drawn up and to the right of the bottom left corner of their square
+    _labelMargin: function (interval) {
+
+        if (this.options.labelMargin !== null) {
+            return this.options.labelMargin;
+        }
+        if (this._margins[interval]) {
+            return this._margins[interval];
+        }
+
+        var grid = this._grid;
+        var b = grid.options.bounds;
+        var d = interval;
+        var ctx = this._measureContext();
+        ctx.font = grid.options.font;
+
+        // squares at the corners and middle of the grid, with the widest eastings and northings
+        var corners = [
+            [b[0][0], b[0][1]],
+            [b[1][0] - d, b[1][1] - d],
+            [b[0][0] + (Math.floor((b[1][0] - b[0][0]) / (2 * d)) * d), b[0][1] + (Math.floor((b[1][1] - b[0][1]) / (2 * d)) * d)]
+        ];
+        var width = grid._textHeight(ctx);
+        var i;
+        for (i = 0; i < corners.length; i++) {
+            var x = corners[i][0];
+            var y = corners[i][1];
+            var str = grid.options.formatSquareLabel.call(grid, {e: x, n: y, interval: d, square: grid._squareLabelId(x, y, d)});
+            width = Math.max(width, grid._labelWidth(grid._labelSegments(ctx, str)));
+        }
+
+        // the 2px label offset and any halo or box around the letters
+        var pad = 2 + Math.max(grid.options.haloWidth || 0, grid.options.boxPadding || 0);
+        this._margins[interval] = Math.ceil(width + pad);
+        return this._margins[interval];
+    },
+
+
+    // An offscreen canvas context for measuring labels
+    _measureContext: function () {
+        if (!this._measureCtx) {
+            this._measureCtx = document.createElement("canvas").getContext("2d");
+        }
+        return this._measureCtx;
+    },
+
+
+    // Grid interval for a zoom, fixed until redraw so that all tiles at a zoom agree
+    _interval: function (zoom) {
+        if (!this._intervals[zoom]) {
+            this._intervals[zoom] = this._grid._calcInterval(zoom);
+        }
+        return this._intervals[zoom];
+    },
+
+
+    // Keeps the grid's state for the map view, with the interval of the tiles at its zoom
+    _updateView: function () {
+
+        var grid = this._grid;
+        var view = grid._mapView();
+
+        view.interval = this._interval(view.zoom);
+        grid._setDrawn(view, grid._zoomDrawn(view.zoom) ? grid._drawJob(view) : null);
+    },
+
+
+    // Fires an event of the grid from this layer
+    _forward: function (e) {
+        this.fire(e.type, e);
+    },
+
+
+    _clearCache: function () {
+        this._cache = {};
+        this._cacheKeys = [];
+        this._intervals = {};
+        this._margins = {};
+    }
+});
+
+// instance factory
+L.tiledMetricGrid = function (grid, options) {
+    return new L.TiledMetricGrid(grid, options);
 };
 
+/** Control showing the grid reference under the mouse for a MetricGrid.
+* Precision follows the grid interval being drawn unless the precision option is set.
+*/
+L.Control.GridRef = L.Control.extend({
+
+    options: {
+        position: "bottomleft",
+        prefix: "",                         // optional, plain text shown before the grid reference
+        precision: null,                    // optional, even total digits 0..10, else follows the grid interval
+        outsideText: "",                    // optional, plain text shown when the mouse is outside the grid e.g. "outside grid"
+        copyOnClick: false                  // optional, when true a map click copies its grid reference to the clipboard
+    },
+
+
+    // Pseudo class constructor, grid is the MetricGrid to read from
+    initialize: function (grid, options) {
+        this._grid = grid;
+        L.setOptions(this, options);
+
+        // check once here rather than have toGridRef throw on every mousemove
+        var precision = this.options.precision;
+        if ((precision !== null) && (precision !== undefined) &&
+            ((precision % 2 != 0) || (precision < 0) || (precision > 10))) {
+            throw new Error("Grid reference precision must be an even number of digits from 0 to 10, not " + precision);
+        }
+    },
+
+
+    // Base class override
+    onAdd: function (map) {
+
+        this._container = L.DomUtil.create("div", "leaflet-control-gridref leaflet-bar");
+        this._container.style.background = "#fff";
+        this._container.style.padding = "0 5px";
+        this._container.style.font = "12px monospace";
+        this._container.textContent = this.options.outsideText;
+
+        L.DomEvent.disableClickPropagation(this._container);
+
+        map.on("mousemove", this._onMouseMove, this);
+        map.on("mouseout", this._onMouseOut, this);
+        if (this.options.copyOnClick) {
+            map.on("click", this._onClick, this);
+        }
+
+        return this._container;
+    },
+
+
+    // Base class override
+    onRemove: function (map) {
+        map.off("mousemove", this._onMouseMove, this);
+        map.off("mouseout", this._onMouseOut, this);
+        map.off("click", this._onClick, this);
+    },
+
+
+    // Grid reference at a Lat/Lon, or null if outside the grid
+    _gridRef: function (latlng) {
+
+        var grid = this._grid;
+        if (!grid._map || !grid.contains(latlng)) {
+            return null;
+        }
+
+        var precision = this.options.precision;
+        if ((precision === null) || (precision === undefined)) {
+            precision = grid._intervalPrecision();
+        }
+        return grid.toGridRef(latlng, precision);
+    },
+
+
+    _onMouseMove: function (e) {
+        var ref = this._gridRef(e.latlng);
+        this._container.textContent = ref ? (this.options.prefix + ref) : this.options.outsideText;
+    },
+
+
+    _onMouseOut: function () {
+        this._container.textContent = this.options.outsideText;
+    },
+
+
+    // copy the grid reference of the clicked point
+    _onClick: function (e) {
+        var ref = this._gridRef(e.latlng);
+        if (ref) {
+            L.MetricGrid.copyText(ref);
+        }
+    }
+});
+
+
+// instance factory
+L.control.gridRef = function (grid, options) {
+    return new L.Control.GridRef(grid, options);
+};
 
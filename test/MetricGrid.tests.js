@@ -0,0 +1,386 @@
+/**
+*  Checks for Leaflet.MetricGrid, run by opening index.html in a browser.
+*  Each check adds a grid to a map and looks at the labels or lines it drew.
+*  Results are listed on the page and left in window.metricGridTestResults.
+*/
+
+(function () {
+
+    var results = [];
+    var labels = [];
+    var paths = [];
+    var spied = [];
+
+    // Record the text and the lines drawn by every canvas context handed out
+    var getContext = HTMLCanvasElement.prototype.getContext;
+    HTMLCanvasElement.prototype.getContext = function () {
+        var ctx = getContext.apply(this, arguments);
+        if (ctx && spied.indexOf(ctx) < 0) {
+            var fillText = ctx.fillText;
+            var moveTo = ctx.moveTo;
+            var lineTo = ctx.lineTo;
+            ctx.fillText = function (text) {
+                labels.push(String(text));
+                return fillText.apply(this, arguments);
+            };
+            ctx.moveTo = function (x, y) {
+                paths.push([[x, y]]);
+                return moveTo.apply(this, arguments);
+            };
+            ctx.lineTo = function (x, y) {
+                if (paths.length) {
+                    paths[paths.length - 1].push([x, y]);
+                }
+                return lineTo.apply(this, arguments);
+            };
+            spied.push(ctx);
+        }
+        return ctx;
+    };
+
+    var map = L.map("map", {center: [48, 3], zoom: 10});
+
+    // The labels drawn when the layer is added at the given view
+    function labelsDrawn (layer, center, zoom) {
+        map.setView(center, zoom, {animate: false});
+        labels = [];
+        map.addLayer(layer);
+        var drawn = labels;
+        map.removeLayer(layer);
+        return drawn;
+    }
+
+    function check (name, pass, detail) {
+        results.push({name: name, pass: !!pass, detail: detail});
+    }
+
+    function same (a, b) {
+        return a.slice().sort().join("|") == b.slice().sort().join("|");
+    }
+
+
+    // latLonClipBounds
+
+    var open = labelsDrawn(L.utmGrid(31, false, {}), [48, 3], 10);
+    var clipped = labelsDrawn(L.utmGrid(31, false, {latLonClipBounds: [[0, 0], [84, 6]]}), [48, 3], 10);
+    check("UTM zone labels drawn with latLonClipBounds", clipped.length > 0, clipped.length + " labels");
+    check("latLonClipBounds well outside the view keeps every label", same(open, clipped), clipped.join(" "));
+
+    var edge = labelsDrawn(L.utmGrid(31, false, {latLonClipBounds: [[0, 0], [84, 6]]}), [48, 0], 10);
+    var edgeOpen = labelsDrawn(L.utmGrid(31, false, {}), [48, 0], 10);
+    check("latLonClipBounds across the view drops labels outside it", edge.length > 0 && edge.length < edgeOpen.length,
+        edge.length + " of " + edgeOpen.length + " labels");
+
+
+    // axis label placement
+
+    var edgeLabels = labelsDrawn(L.britishGrid({axisLabelPlacement: "edge", axisLabelEdges: "NESW"}), [50.2, -6.5], 10);
+    check("edge placed axis labels drawn on a clipped grid", edgeLabels.length > 0, edgeLabels.join(" "));
+
+
+    // label formats
+
+    var units = L.britishGrid({labelUnits: " m"});
+    var unitsLabel = units.options.formatSquareLabel.call(units, {e: 430000, n: 150000, interval: 1000, square: "SU"});
+    check("labelUnits left off labels within the 100km square", unitsLabel === "SU3050", unitsLabel);
+    var km = L.swissGrid({labelMode: "km", labelSeparator: "", labelUnits: " km"});
+    var kmLabel = km.options.formatSquareLabel.call(km, {e: 600000, n: 200000, interval: 1000, square: ""});
+    check("labelUnits after each full easting and northing", kmLabel === "600 km 200 km", kmLabel);
+
+
+    // built in grid clips, checked with places in the grid near its clip
+
+    // true if the grid contains each of the places, given in its own coordinates
+    function containsAll (name, grid, places, offset) {
+        var proj = grid._proj();
+        var missing = [];
+        var place;
+        for (place in places) {
+            var ll = proj.inverse([places[place][0] + offset[0], places[place][1] + offset[1]]);
+            if (!grid.contains([ll[1], ll[0]])) {
+                missing.push(place);
+            }
+        }
+        check(name + " clip contains places near its border", !missing.length, missing.join(", "));
+    }
+
+    var swissPlaces = {
+        "Samnaun": [822500, 203300],
+        "Boncourt": [568000, 260600],
+        "Damvant": [558500, 246700],
+        "Stabio": [716600, 78700],
+        "Gondo": [654100, 116300],
+        "Campocologno": [808300, 123400],
+        "Brusio": [806700, 126700],
+        "Ramsen": [702900, 285200],
+        "St. Margrethen": [766000, 257700],
+        "St-Gingolph": [550800, 137800],
+        "Liechtenstein east": [766600, 222200]
+    };
+    containsAll("Swiss LV03", L.swissGrid(), swissPlaces, [0, 0]);
+    containsAll("Swiss LV95", L.swissGridLV95(), swissPlaces, [2000000, 1000000]);
+
+    containsAll("Lambert-93", L.metricGrid.fromEPSG(2154), {
+        "Lauterbourg": [1082630, 6887127],
+        "Île de Sein": [115955, 6800124],
+        "Ouessant": [102500, 6848100],
+        "Îles Chausey": [346600, 6874100],
+        "Bray-Dunes": [666300, 7109500],
+        "Hendaye": [311700, 6263000],
+        "Cerbère": [714000, 6148900],
+        "Menton": [1062200, 6307700],
+        "Porquerolles": [961100, 6216500],
+        "Bonifacio": [1216200, 6052200]
+    }, [0, 0]);
+
+
+    // GeoJSON clips, filled even-odd
+
+    var holed = {type: "Polygon", coordinates: [
+        [[400000, 100000], [600000, 100000], [600000, 300000], [400000, 300000], [400000, 100000]],
+        [[480000, 180000], [520000, 180000], [520000, 220000], [480000, 220000], [480000, 180000]]
+    ]};
+    var holedGrid = L.britishGrid({clip: holed});
+    var holedProj = holedGrid._proj();
+
+    // true if the grid contains the point given in its own coordinates
+    function containsGridPoint (grid, p) {
+        var ll = grid._proj().inverse(p);
+        return grid.contains([ll[1], ll[0]]);
+    }
+
+    check("Polygon clip contains a point inside it", containsGridPoint(holedGrid, [450000, 150000]));
+    check("Polygon clip does not contain a point in its hole", !containsGridPoint(holedGrid, [500000, 200000]));
+    check("Polygon clip does not contain a point outside it", !containsGridPoint(holedGrid, [650000, 200000]));
+
+    var multiGrid = L.britishGrid({clip: {type: "MultiPolygon", coordinates: [
+        [[[300000, 100000], [400000, 100000], [400000, 200000], [300000, 200000], [300000, 100000]]],
+        [[[500000, 100000], [600000, 100000], [600000, 200000], [500000, 200000], [500000, 100000]]]
+    ]}});
+    check("MultiPolygon clip contains points in each polygon",
+        containsGridPoint(multiGrid, [350000, 150000]) && containsGridPoint(multiGrid, [550000, 150000]));
+    check("MultiPolygon clip does not contain a point between its polygons", !containsGridPoint(multiGrid, [450000, 150000]));
+
+    var latLonGrid = L.britishGrid({latLonClip: {type: "Polygon", coordinates: [[[-3, 51], [-1, 51], [-1, 52], [-3, 52], [-3, 51]]]}});
+    check("latLonClip contains a point inside it", latLonGrid.contains([51.5, -2]));
+    check("latLonClip does not contain a point outside it", !latLonGrid.contains([51.5, -0.5]));
+
+    var square = [[0, 0], [10, 0], [10, 10], [0, 10]];
+    var inner = [[2, 2], [8, 2], [8, 8], [2, 8]];
+    check("even-odd inside a ring", holedGrid._inside([1, 1], [square]) && holedGrid._inside([5, 5], [square]));
+    check("even-odd outside a ring within another", holedGrid._inside([1, 1], [square, inner]) && !holedGrid._inside([5, 5], [square, inner]));
+    check("even-odd inside a ring within a hole", holedGrid._inside([5, 5], [square, inner, [[4, 4], [6, 4], [6, 6], [4, 6]]]));
+
+    var pieces = holedGrid._clipGridSegment([350000, 200000], [650000, 200000]);
+    check("grid line split across a clip hole",
+        same(pieces.map(JSON.stringify), [[[400000, 200000], [480000, 200000]], [[520000, 200000], [600000, 200000]]].map(JSON.stringify)),
+        JSON.stringify(pieces));
+
+    var squareIds = labelsDrawn(L.britishGrid({clip: holed, showSquareLabels: [1000, 10000]}), [51.3, -1.28], 10);
+    check("square labels kept out of a clip hole", (squareIds.indexOf("SU78") >= 0) && (squareIds.indexOf("SU88") < 0) &&
+        (squareIds.indexOf("SU98") < 0), squareIds.join(" "));
+
+    var bands = labelsDrawn(L.utmGrid(31, false, {showBands: true}), [49, 1.5], 7);
+    var clippedBands = labelsDrawn(L.utmGrid(31, false, {showBands: true,
+        latLonClip: {type: "Polygon", coordinates: [[[1, 40], [6, 40], [6, 56], [1, 56], [1, 40]]]}}), [49, 1.5], 7);
+    check("band labels kept inside the clip", (bands.indexOf("31U") >= 0) && (clippedBands.indexOf("31U") < 0),
+        bands.join(" ") + " / " + clippedBands.join(" "));
+
+    var holeSquares = holedGrid.toGeoJSON(L.latLngBounds(L.latLng(holedProj.inverse([470000, 170000]).reverse()),
+        L.latLng(holedProj.inverse([530000, 230000]).reverse())), 10000, {squares: true}).features.filter(function (f) {
+        return f.properties.square !== undefined;
+    });
+    var holeSquare = holeSquares.filter(function (f) {
+        return (f.properties.easting === 490000) && (f.properties.northing === 190000);
+    });
+    var edgeSquare = holeSquares.filter(function (f) {
+        return (f.properties.easting === 470000) && (f.properties.northing === 190000);
+    });
+    check("GeoJSON squares within a clip hole left out", !holeSquare.length && (edgeSquare.length === 1), holeSquares.length + " squares");
+
+
+    // grid groups
+
+    var z30 = L.utmGrid(30, false, {});
+    var z31 = L.utmGrid(31, false, {});
+    L.metricGridGroup([z30, z31]);
+    check("UTM zones in a group each keep their own zone",
+        z30.contains([50, -1]) && !z30.contains([50, 2]) && z31.contains([50, 2]) && !z31.contains([50, -1]));
+
+    // the longitude range of the GeoJSON squares of a grid across the 0 degree meridian
+    function squaresLonRange (grid) {
+        var range = [Infinity, -Infinity];
+        function extend (coords) {
+            if (typeof coords[0] === "number") {
+                range = [Math.min(range[0], coords[0]), Math.max(range[1], coords[0])];
+            }
+            else {
+                coords.forEach(extend);
+            }
+        }
+        grid.toGeoJSON([[49.9, -0.2], [50.1, 0.2]], 10000, {squares: true}).features.forEach(function (f) {
+            if (f.properties.square !== undefined) {
+                extend(f.geometry.coordinates);
+            }
+        });
+        return range;
+    }
+    var z30Lons = squaresLonRange(z30);
+    var z31Lons = squaresLonRange(z31);
+    check("GeoJSON squares in a group cut to their own zone", (z30Lons[0] < -0.1) && (z30Lons[1] < 1e-6) &&
+        (z31Lons[0] > -1e-6) && (z31Lons[1] > 0.1), z30Lons.join(" to ") + ", " + z31Lons.join(" to "));
+
+
+    // a map in the British grid projection, EPSG:27700 at the OS tile resolutions
+
+    var osgb = proj4(L.britishGrid().options.proj4ProjDef);
+    var crs27700 = L.extend({}, L.CRS, {
+        code: "EPSG:27700",
+        projection: {
+            project: function (ll) {
+                var p = osgb.forward([ll.lng, ll.lat]);
+                return L.point(p[0], p[1]);
+            },
+            unproject: function (p) {
+                var ll = osgb.inverse([p.x, p.y]);
+                return L.latLng(ll[1], ll[0]);
+            },
+            bounds: L.bounds([-238375, 0], [900000, 1376256])
+        },
+        transformation: new L.Transformation(1, 238375, -1, 1376256),
+        scale: function (zoom) {
+            return Math.pow(2, zoom) / 896;
+        },
+        zoom: function (scale) {
+            return Math.log(scale * 896) / Math.LN2;
+        },
+        infinite: false
+    });
+    var osDiv = document.createElement("div");
+    osDiv.style.width = "800px";
+    osDiv.style.height = "600px";
+    document.body.appendChild(osDiv);
+    var osMap = L.map(osDiv, {crs: crs27700, center: [54.3, -4.5], zoom: 5});
+
+    // the lines drawn when the layer is added to the EPSG:27700 map
+    function pathsDrawn (layer) {
+        paths = [];
+        osMap.addLayer(layer);
+        var drawn = paths;
+        osMap.removeLayer(layer);
+        return drawn;
+    }
+
+    var british = L.britishGrid();
+    var britishPaths = pathsDrawn(british);
+    check("British grid projects as the EPSG:27700 map", british._projectsAsGrid(crs27700) &&
+        !british._projectsAsGrid(L.CRS.EPSG3857));
+    check("British grid lines straight and square on an EPSG:27700 map", britishPaths.length && britishPaths.every(function (path) {
+        return (path.length === 2) && ((Math.abs(path[0][0] - path[1][0]) < 1e-6) || (Math.abs(path[0][1] - path[1][1]) < 1e-6));
+    }), britishPaths.length + " lines");
+
+    var irish = L.irishGrid();
+    var irishPaths = pathsDrawn(irish);
+    check("Irish grid lines still curve on an EPSG:27700 map", !irish._projectsAsGrid(crs27700) && irishPaths.some(function (path) {
+        return path.length > 2;
+    }), irishPaths.length + " lines");
+
+    // 896 m per pixel at zoom 0 on the ground, a little less with the projection's scale factor
+    british._map = osMap;
+    var mPerPx = british._mPerPx(5);
+    check("metres per pixel from the EPSG:27700 map resolution", Math.abs(mPerPx - 28) < 0.5, mPerPx.toFixed(2) + "m");
+    check("interval chosen from the EPSG:27700 map resolution",
+        (british._calcInterval(5) === 10000) && (british._calcInterval(6) === 1000), british._calcInterval(5) + ", " + british._calcInterval(6));
+    british._map = null;
+    osMap.remove();
+    document.body.removeChild(osDiv);
+
+
+    // tiled grids
+
+    var tiledGrid = L.britishGrid();
+    var tiled = L.tiledMetricGrid(tiledGrid);
+    var tiledCentre = tiledGrid._proj().forward([-2, 54]);
+    var tiledEvents = [];
+    tiled.on("intervalchange outofbounds", function (e) {
+        tiledEvents.push(e.type + (e.interval ? " " + e.interval : ""));
+    });
+    map.setView([54, -2], 13, {animate: false});
+    map.addLayer(tiled);
+    check("tiled grid interval and bounds for the map view", (tiled.getInterval() === 1000) && tiled.isVisible() &&
+        tiled.getGridBounds().contains(L.point(tiledCentre)), tiled.getInterval() + " " + tiledCentre);
+    map.setView([40, 20], 13, {animate: false});
+    check("tiled grid not visible outside its bounds", !tiled.isVisible() && (tiled.getGridBounds() === null));
+    map.removeLayer(tiled);
+    check("tiled grid events", same(tiledEvents, ["intervalchange 1000", "outofbounds"]), tiledEvents.join(", "));
+
+
+    // worker draws, with a stand in worker that replies when flushed
+
+    var getWorker = L.MetricGrid.getWorker;
+    var messages = [];
+    var fakeWorker = {
+        postMessage: function (msg) {
+            messages.push(msg);
+        }
+    };
+
+    // replies to the messages posted so far, working out the geometry on this thread
+    function flushWorker () {
+        var posted = messages;
+        messages = [];
+        posted.forEach(function (msg) {
+            var grid = L.MetricGrid._workerGrids[msg.grid];
+            var req = grid._workerPosted;
+            grid._onWorkerGeometry({grid: msg.grid, id: msg.id, geom: grid._geometry(req.view, msg.job)});
+        });
+    }
+
+    L.MetricGrid.getWorker = function () {
+        return fakeWorker;
+    };
+    map.setView([54, -4], 9, {animate: false});
+    var starts = 0;
+    var ends = 0;
+    var loads = 0;
+    var workerGrid = L.britishGrid({worker: true});
+    workerGrid.on("drawstart", function () { starts++; });
+    workerGrid.on("drawend", function () { ends++; });
+    workerGrid.on("load", function () { loads++; });
+    map.addLayer(workerGrid);
+
+    var i;
+    for (i = 0; i < 20; i++) {
+        map.panBy([30, 0], {animate: false});
+        workerGrid._reset();
+        if (i % 5 === 4) {
+            flushWorker();
+        }
+    }
+    flushWorker();
+    flushWorker();
+    check("each worker drawstart has its drawend while panning", starts === 21 && ends === starts,
+        starts + " drawstart, " + ends + " drawend");
+    check("worker results painted while panning", loads > 1 && workerGrid.getInterval() !== null, loads + " loads");
+    check("no worker jobs left once the worker has replied", !workerGrid._workerPosted && !workerGrid._workerWaiting);
+
+    workerGrid._reset();
+    map.removeLayer(workerGrid);
+    check("removing a grid ends the draw still with the worker", ends === starts, starts + " drawstart, " + ends + " drawend");
+    messages = [];
+    L.MetricGrid.getWorker = getWorker;
+
+
+    // report
+
+    window.metricGridTestResults = results;
+
+    var list = document.getElementById("results");
+    results.forEach(function (r) {
+        var item = document.createElement("li");
+        item.className = r.pass ? "pass" : "fail";
+        item.textContent = (r.pass ? "pass: " : "FAIL: ") + r.name + (r.detail ? " (" + r.detail + ")" : "");
+        list.appendChild(item);
+    });
+
+})();